@@ -11,6 +11,13 @@ class SEOCheckerV2 {
         this.selectiveUrls = [];
         this.filteredSelectiveUrls = [];
         this.selectedSelectiveUrls = new Set();
+        this.filterRules = [];
+        this.defaultRenderingRules = null;
+        this.platforms = [];
+        this.platform = null;
+        this.performanceByTemplate = [];
+        // Sitemap scan shown in the progress card: { analysisId, sitemapUrl }
+        this.activeScan = null;
 
         // AI Cost Tracking
         this.loadAICostTracking();
@@ -20,6 +27,7 @@ class SEOCheckerV2 {
         this.initializeEventListeners();
         this.setupSocketListeners();
         this.setupKeyboardShortcuts();
+        this.loadScanState();
     }
 
     initializeTheme() {
@@ -81,6 +89,18 @@ class SEOCheckerV2 {
         document.getElementById('saveMboTokenBtn')?.addEventListener('click', this.saveManualMboToken.bind(this));
         document.getElementById('clearMboBtn')?.addEventListener('click', this.clearMboSession.bind(this));
 
+        // Pause, resume and cancel sitemap scans
+        document.getElementById('pauseScanBtn')?.addEventListener('click', () => this.pauseScan(this.activeScan?.analysisId));
+        document.getElementById('resumeScanBtn')?.addEventListener('click', () => this.resumeScan(this.activeScan?.sitemapUrl));
+        document.getElementById('cancelScanBtn')?.addEventListener('click', () => this.cancelScan(this.activeScan?.analysisId));
+
+        // Discovery crawl
+        document.getElementById('discoveryBtn')?.addEventListener('click', this.startDiscovery.bind(this));
+
+        // Pasted and uploaded URL lists
+        document.getElementById('toggleSourceInputBtn')?.addEventListener('click', this.toggleSourceInput.bind(this));
+        document.getElementById('useSourceBtn')?.addEventListener('click', this.useSource.bind(this));
+
         // Saved scan selector
         document.getElementById('savedScanSelector')?.addEventListener('change', this.handleSavedScanSelection.bind(this));
 
@@ -94,6 +114,14 @@ class SEOCheckerV2 {
         document.getElementById('scanSelectedBtn')?.addEventListener('click', this.scanSelectedUrls.bind(this));
         document.getElementById('selectiveSearchFilter')?.addEventListener('input', this.filterSelectiveUrls.bind(this));
         document.getElementById('selectiveScanFilter')?.addEventListener('change', this.filterSelectiveUrls.bind(this));
+        document.getElementById('addFilterRuleBtn')?.addEventListener('click', this.addFilterRule.bind(this));
+        document.getElementById('previewFiltersBtn')?.addEventListener('click', this.previewFilters.bind(this));
+        document.getElementById('saveFiltersBtn')?.addEventListener('click', this.saveFilters.bind(this));
+        document.getElementById('saveRenderingRulesBtn')?.addEventListener('click', this.saveRenderingRules.bind(this));
+        document.getElementById('savePlatformBtn')?.addEventListener('click', this.savePlatform.bind(this));
+        document.getElementById('saveSiteAuthBtn')?.addEventListener('click', this.saveSiteAuth.bind(this));
+        document.getElementById('platformType')?.addEventListener('change', (e) => this.renderPlatformFields(e.target.value));
+        document.getElementById('resetRenderingRulesBtn')?.addEventListener('click', () => this.renderRenderingRules(this.defaultRenderingRules));
 
         // Filters
         document.getElementById('searchFilter')?.addEventListener('input', this.applyFilters.bind(this));
@@ -171,8 +199,30 @@ class SEOCheckerV2 {
             }
         });
 
+        this.socket.on('discovery-complete', (data) => {
+            document.getElementById('progressContainer').style.display = 'none';
+            this.renderDiscovery(data.discovery);
+            this.showNotification('Discovery crawl complete!', 'success');
+        });
+
+        this.socket.on('paused', (data) => {
+            this.activeScan = { analysisId: data.analysisId, sitemapUrl: data.sitemapUrl };
+            document.getElementById('progressTitle').textContent = 'Paused';
+            document.getElementById('progressMessage').textContent = `Paused after ${data.done} of ${data.total} pages`;
+            this.showScanControls('paused');
+            this.showNotification(`Scan paused: ${data.done} of ${data.total} pages done`, 'info');
+        });
+
+        this.socket.on('cancelled', (data) => {
+            document.getElementById('progressContainer').style.display = 'none';
+            this.showScanControls(null);
+            this.showNotification(data.message, 'info');
+        });
+
         this.socket.on('error', (data) => {
             this.showError(data.error);
+            // A failed sitemap scan keeps its checkpoint and can be resumed
+            this.loadScanState();
         });
     }
 
@@ -238,16 +288,13 @@ class SEOCheckerV2 {
         const sitemapUrl = document.getElementById('sitemapUrl').value;
         const scanMode = document.getElementById('scanMode').value;
         const maxPages = document.getElementById('maxPages').value;
-        const delay = document.getElementById('delay').value;
         const timeout = document.getElementById('timeout').value;
-        const chunkSize = document.getElementById('chunkSize').value;
 
         const options = {
             scanMode: scanMode,
             maxPages: parseInt(maxPages),
-            delay: parseInt(delay),
             timeout: parseInt(timeout),
-            chunkSize: parseInt(chunkSize),
+            ...this.getCrawlOptions(),
             enableMboDetection: true  // Always use Puppeteer to get object IDs
         };
 
@@ -261,16 +308,336 @@ class SEOCheckerV2 {
             const data = await response.json();
 
             if (response.ok) {
+                document.getElementById('discoveredSitemaps')?.classList.add('hidden');
                 document.getElementById('progressContainer').style.display = 'block';
                 document.getElementById('resultsContainer').style.display = 'none';
+                this.activeScan = { analysisId: data.analysisId, sitemapUrl };
+                this.showScanControls('running');
             } else {
                 this.showError(data.error);
+                // Unfinished scan of the same sitemap: show it with its Resume and Discard buttons
+                if (data.checkpoint) {
+                    this.loadScanState();
+                }
             }
         } catch (error) {
             this.showError('Failed to start analysis: ' + error.message);
         }
     }
 
+    getCrawlOptions() {
+        return {
+            requestsPerSecond: parseFloat(document.getElementById('requestsPerSecond').value) || 2,
+            concurrency: parseInt(document.getElementById('concurrency').value) || 4,
+            perHostConcurrency: parseInt(document.getElementById('perHostConcurrency').value) || 2,
+            ignoreRobots: document.getElementById('ignoreRobots').checked,
+            compareRendering: document.getElementById('compareRendering').checked,
+            compareDevices: document.getElementById('compareDevices').checked,
+            measurePerformance: document.getElementById('measurePerformance').checked,
+            captureScreenshots: document.getElementById('captureScreenshots').checked,
+            maxRetries: parseInt(document.getElementById('maxRetries').value)
+        };
+    }
+
+    // Sitemap scan running in the background (e.g. resumed after a server restart) and unfinished ones
+    async loadScanState() {
+        try {
+            const [status, checkpoints] = await Promise.all([
+                fetch('/api/status').then(response => response.json()),
+                fetch('/api/analyze/checkpoints').then(response => response.json())
+            ]);
+
+            if (status.scan) {
+                this.activeScan = { analysisId: status.analysisId, sitemapUrl: status.scan.sitemapUrl };
+                const sitemapInput = document.getElementById('sitemapUrl');
+                if (sitemapInput && !sitemapInput.value) {
+                    sitemapInput.value = status.scan.sitemapUrl;
+                }
+                document.getElementById('progressContainer').style.display = 'block';
+                this.showScanControls(status.scan.stopRequested ? null : 'running');
+            }
+
+            this.renderPausedScans(checkpoints.checkpoints || []);
+        } catch (error) {
+            console.error('Error loading scan state:', error);
+        }
+    }
+
+    // state: 'running', 'paused', or null to hide the buttons (discovery crawls can't be paused)
+    showScanControls(state) {
+        document.getElementById('scanControls')?.classList.toggle('hidden', !state);
+        document.getElementById('pauseScanBtn')?.classList.toggle('hidden', state !== 'running');
+        document.getElementById('resumeScanBtn')?.classList.toggle('hidden', state !== 'paused');
+    }
+
+    renderPausedScans(checkpoints) {
+        const panel = document.getElementById('pausedScansPanel');
+        if (!panel) return;
+
+        if (checkpoints.length === 0) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        panel.innerHTML = `
+            <div class="card-body">
+                <h5><i class="fas fa-pause-circle"></i> Unfinished Scans</h5>
+                ${checkpoints.map(checkpoint => `
+                    <div class="d-flex justify-content-between align-items-center border-top py-2">
+                        <div>
+                            <strong>${checkpoint.sitemapUrl}</strong><br>
+                            <small class="text-muted">
+                                ${checkpoint.done} of ${checkpoint.total} pages done,
+                                ${checkpoint.status === 'paused' ? 'paused' : 'interrupted'} ${new Date(checkpoint.updatedAt).toLocaleString()}
+                            </small>
+                        </div>
+                        <div class="d-flex gap-2">
+                            <button class="btn btn-sm btn-success" onclick="app.resumeScan('${checkpoint.sitemapUrl}')">
+                                <i class="fas fa-play"></i> Resume
+                            </button>
+                            <button class="btn btn-sm btn-outline-danger" onclick="app.cancelScan('${checkpoint.analysisId}')">
+                                <i class="fas fa-trash"></i> Discard
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async pauseScan(analysisId) {
+        try {
+            const response = await fetch('/api/analyze/pause', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ analysisId })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                // The 'paused' event follows once the pages in progress are done
+                this.showScanControls(null);
+                document.getElementById('progressMessage').textContent = 'Pausing after the pages in progress...';
+            } else {
+                this.showError(data.error);
+            }
+        } catch (error) {
+            this.showError('Failed to pause scan: ' + error.message);
+        }
+    }
+
+    async resumeScan(sitemapUrl) {
+        try {
+            const response = await fetch('/api/analyze/resume', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                document.getElementById('sitemapUrl').value = sitemapUrl;
+                document.getElementById('progressContainer').style.display = 'block';
+                document.getElementById('resultsContainer').style.display = 'none';
+                this.activeScan = { analysisId: data.analysisId, sitemapUrl };
+                this.showScanControls('running');
+                this.showNotification(`Resuming scan: ${data.done} of ${data.total} pages already done`, 'info');
+                this.loadScanState();
+            } else {
+                this.showError(data.error);
+            }
+        } catch (error) {
+            this.showError('Failed to resume scan: ' + error.message);
+        }
+    }
+
+    // Stops the running scan or discards a paused one, whichever analysisId belongs to
+    async cancelScan(analysisId) {
+        if (!confirm('Cancel this scan? Pages crawled so far are discarded and the last complete results stay.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/analyze/cancel', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ analysisId })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showError(data.error);
+            } else if (data.status === 'cancelled') {
+                // A paused scan; running ones report back with a 'cancelled' event
+                if (this.activeScan?.analysisId === analysisId) {
+                    document.getElementById('progressContainer').style.display = 'none';
+                    this.showScanControls(null);
+                }
+                this.showNotification('Paused scan discarded', 'info');
+                this.loadScanState();
+            }
+        } catch (error) {
+            this.showError('Failed to cancel scan: ' + error.message);
+        }
+    }
+
+    async startDiscovery() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        if (!sitemapUrl) {
+            this.showError('Please enter a sitemap URL first');
+            return;
+        }
+
+        const options = {
+            maxDepth: parseInt(document.getElementById('discoveryDepth').value),
+            ...this.getCrawlOptions(),
+            timeout: parseInt(document.getElementById('timeout').value)
+        };
+
+        try {
+            const response = await fetch('/api/discovery', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, options })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                document.getElementById('discoveredSitemaps')?.classList.add('hidden');
+                document.getElementById('progressContainer').style.display = 'block';
+                this.showScanControls(null);
+            } else {
+                this.showError(data.error);
+            }
+        } catch (error) {
+            this.showError('Failed to start discovery: ' + error.message);
+        }
+    }
+
+    renderDiscovery(discovery) {
+        const panel = document.getElementById('discoveryPanel');
+        if (!panel) return;
+
+        if (!discovery) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const { totals } = discovery;
+        const limit = 200;
+        const more = (items) => items.length > limit ? `<li>...and ${items.length - limit} more</li>` : '';
+        const pageItem = (page) => `
+            <li>
+                <a href="${page.url}" target="_blank">${page.url}</a>
+                ${page.crawled ? `<span class="badge bg-${page.success ? 'secondary' : 'danger'}">${page.status || 'failed'}</span>` : page.blockedByRobots ? `<span class="badge bg-blocked" title="${page.blockedByRobots}">blocked by robots.txt</span>` : '<span class="badge bg-light text-dark">not fetched</span>'}
+                <span class="text-muted">depth ${page.depth}, ${page.inlinks} link${page.inlinks !== 1 ? 's' : ''}${page.foundOn ? `, first seen on ${page.foundOn}` : ''}</span>
+            </li>
+        `;
+
+        const section = (id, icon, title, description, count, itemsHTML) => `
+            <div class="mb-2">
+                <div class="d-flex justify-content-between align-items-center collapsible-header" onclick="document.getElementById('${id}').classList.toggle('expanded')">
+                    <strong><i class="fas fa-${icon}"></i> ${title}</strong>
+                    <span class="badge bg-secondary">${count}</span>
+                </div>
+                <div class="collapsible-content" id="${id}">
+                    <p class="small text-muted mb-1 mt-2">${description}</p>
+                    <ul class="small mb-0" style="word-break: break-all;">${itemsHTML}</ul>
+                </div>
+            </div>
+        `;
+
+        panel.innerHTML = `
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h5 class="mb-0"><i class="fas fa-project-diagram"></i> Sitemap vs. Linked Pages</h5>
+                    <small class="text-muted">
+                        ${totals.crawled} pages crawled${totals.blocked ? `, ${totals.blocked} blocked by robots.txt,` : ''} from ${discovery.startUrl} (depth ${discovery.maxDepth}) on ${new Date(discovery.discoveredAt).toLocaleString()}
+                    </small>
+                </div>
+                ${section('discoveryLinkedOnly', 'unlink', 'Linked only (missing from sitemap)',
+                    'Linked from the site but not listed in the sitemap.',
+                    totals.linkedOnly, discovery.linkedOnly.slice(0, limit).map(pageItem).join('') + more(discovery.linkedOnly))}
+                ${section('discoverySitemapOnly', 'sitemap', 'In sitemap only (possible orphans)',
+                    `Listed in the sitemap but not linked from any page found within depth ${discovery.maxDepth}.`,
+                    totals.sitemapOnly, discovery.sitemapOnly.slice(0, limit).map(url => `<li><a href="${url}" target="_blank">${url}</a></li>`).join('') + more(discovery.sitemapOnly))}
+                ${section('discoveryBoth', 'check', 'Both',
+                    'Listed in the sitemap and linked from the site.',
+                    totals.both, discovery.both.slice(0, limit).map(pageItem).join('') + more(discovery.both))}
+            </div>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    async loadDiscovery(sitemapUrl) {
+        try {
+            const response = await fetch(`/api/discovery?sitemapUrl=${encodeURIComponent(sitemapUrl)}`);
+            const data = await response.json();
+            this.renderDiscovery(response.ok ? data.discovery : null);
+        } catch (error) {
+            console.error('Failed to load discovery results:', error);
+        }
+    }
+
+    toggleSourceInput(event) {
+        event.preventDefault();
+        document.getElementById('sourceInputPanel')?.classList.toggle('hidden');
+    }
+
+    async useSource() {
+        const fileInput = document.getElementById('sourceFileInput');
+        const listInput = document.getElementById('sourceListInput');
+        const status = document.getElementById('sourceStatus');
+        const file = fileInput.files[0];
+        const name = document.getElementById('sourceNameInput').value.trim();
+
+        if (!file && !listInput.value.trim()) {
+            this.showError('Paste some URLs or choose a file first');
+            return;
+        }
+
+        try {
+            let body;
+            if (file) {
+                // Read as base64 so gzipped files survive the JSON round trip
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(file);
+                });
+                body = { kind: 'upload', name: name || file.name, content: dataUrl.split(',')[1], encoding: 'base64' };
+            } else {
+                body = { kind: 'list', name, content: listInput.value };
+            }
+
+            status.textContent = 'Saving...';
+            const response = await fetch('/api/sources', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                document.getElementById('sitemapUrl').value = data.sitemapUrl;
+                status.textContent = `Ready: ${data.sitemapUrl} (${(data.bytes / 1024).toFixed(1)} KB) - start an analysis or selective scan`;
+            } else {
+                status.textContent = '';
+                this.showError(data.error);
+            }
+        } catch (error) {
+            status.textContent = '';
+            this.showError('Failed to save list: ' + error.message);
+        }
+    }
+
     updateProgress(data) {
         const progressBar = document.getElementById('progressBar');
         const progressMessage = document.getElementById('progressMessage');
@@ -288,6 +655,31 @@ class SEOCheckerV2 {
             progressBar.style.width = data.percentage + '%';
             progressBar.textContent = data.percentage + '%';
         }
+
+        if (data.step === 'discovered') {
+            this.renderDiscoveredSitemaps(data.sitemaps, data.source);
+        }
+    }
+
+    renderDiscoveredSitemaps(sitemaps = [], source) {
+        const container = document.getElementById('discoveredSitemaps');
+        if (!container) return;
+
+        const sourceLabel = source === 'robots.txt' ? 'robots.txt' :
+                            source === 'common-locations' ? 'common sitemap locations' :
+                            source === 'upload' ? 'your upload' : 'the URL you entered';
+
+        container.innerHTML = `
+            <div class="small text-muted mb-1">
+                <i class="fas fa-sitemap"></i> ${sitemaps.length} sitemap${sitemaps.length !== 1 ? 's' : ''} found via ${sourceLabel}:
+            </div>
+            <ul class="small mb-0">
+                ${sitemaps.map(sitemap => /^https?:/.test(sitemap)
+                    ? `<li><a href="${sitemap}" target="_blank">${sitemap}</a></li>`
+                    : `<li>${sitemap}</li>`).join('')}
+            </ul>
+        `;
+        container.classList.remove('hidden');
     }
 
     updateCrawlProgress(data) {
@@ -312,17 +704,22 @@ class SEOCheckerV2 {
         document.getElementById('resultsContainer').style.display = 'block';
 
         this.renderStats(data.summary);
+        this.renderSitemapHealth(data.results.sitemapHealth);
         this.renderCharacterHistogram();
         this.applyFilters();
+        this.loadPlatform(document.getElementById('sitemapUrl').value);
 
-        this.showNotification('Analysis complete!', 'success');
+        const changes = data.summary?.contentChanges;
+        this.showNotification(changes
+            ? `Analysis complete! ${changes.unchanged} pages unchanged, ${changes.changed} changed, ${changes.new} new`
+            : 'Analysis complete!', 'success');
     }
 
     renderStats(summary = null) {
         const statsOverview = document.getElementById('statsOverview');
         if (!statsOverview) return;
 
-        let total, good, warning, errors, withMeta, percentageWithMeta;
+        let total, good, warning, errors, blocked, withMeta, percentageWithMeta;
 
         // Always calculate stats from current results for real-time accuracy
         if (this.currentResults && this.currentResults.length > 0) {
@@ -330,6 +727,7 @@ class SEOCheckerV2 {
             good = this.currentResults.filter(r => r.status === 'good').length;
             warning = this.currentResults.filter(r => r.status === 'warning' || r.status === 'needs_attention').length;
             errors = this.currentResults.filter(r => r.status === 'error').length;
+            blocked = this.currentResults.filter(r => r.status === 'blocked').length;
             withMeta = this.currentResults.filter(r => r.hasMetaDescription).length;
             percentageWithMeta = total > 0 ? Math.round((withMeta / total) * 100) : 0;
         } else if (summary) {
@@ -338,6 +736,7 @@ class SEOCheckerV2 {
             good = summary.good || 0;
             warning = summary.warning || 0;
             errors = summary.error || summary.errors || 0;
+            blocked = summary.blocked || 0;
             withMeta = summary.withMetaDescription || 0;
             percentageWithMeta = total > 0 ? Math.round((withMeta / total) * 100) : 0;
         } else {
@@ -367,6 +766,7 @@ class SEOCheckerV2 {
                 <div class="stat-card-v2" onclick="app.filterByStatCard('error')" style="cursor: pointer;">
                     <span class="stat-number status-error">${errors}</span>
                     <span class="stat-label">Errors</span>
+                    ${blocked > 0 ? `<small class="status-blocked d-block" onclick="event.stopPropagation(); app.filterByStatCard('blocked')">+ ${blocked} blocked by robots.txt</small>` : ''}
                 </div>
             </div>
             <div class="col-md-2">
@@ -382,6 +782,131 @@ class SEOCheckerV2 {
                 </div>
             </div>
         `;
+
+        // Summaries without it (e.g. after editing one URL) keep the last one
+        if (summary?.performanceByTemplate) {
+            this.performanceByTemplate = summary.performanceByTemplate;
+        }
+        this.renderPerformancePanel();
+    }
+
+    // Average lab metrics per URL template (first path segment, e.g. /p/*),
+    // as summarized by the server (summary.performanceByTemplate)
+    renderPerformancePanel() {
+        const panel = document.getElementById('performancePanel');
+        if (!panel) return;
+
+        const groups = this.performanceByTemplate || [];
+        if (groups.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const ms = (value) => value === null ? '–' : `${value} ms`;
+
+        const rows = groups.map(group => `
+            <tr>
+                <td><code>${group.template}</code></td>
+                <td>${group.pages}</td>
+                <td>${ms(group.lcp)}</td>
+                <td>${group.cls === null ? '–' : group.cls.toFixed(3)}</td>
+                <td>${ms(group.tbt)}</td>
+                <td>${ms(group.domContentLoaded)}</td>
+                <td>${ms(group.load)}</td>
+                <td>${group.requests === null ? '–' : group.requests}</td>
+                <td>${group.transferBytes === null ? '–' : `${Math.round(group.transferBytes / 1024)} KB`}</td>
+                <td>${group.poorPages > 0 ? `<span class="badge bg-danger">${group.poorPages}</span>` : '<span class="text-muted">0</span>'}</td>
+            </tr>
+        `).join('');
+
+        const measured = groups.reduce((sum, group) => sum + group.pages, 0);
+        panel.innerHTML = `
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-center collapsible-header" onclick="document.getElementById('performanceDetails').classList.toggle('expanded')">
+                    <h5 class="mb-0"><i class="fas fa-tachometer-alt"></i> Performance by Template</h5>
+                    <div class="d-flex gap-2 align-items-center">
+                        <small class="text-muted">${measured} page${measured !== 1 ? 's' : ''} measured on throttled mobile</small>
+                        <i class="fas fa-chevron-down"></i>
+                    </div>
+                </div>
+                <div class="collapsible-content" id="performanceDetails">
+                    <div class="pt-3 table-responsive">
+                        <table class="table table-sm small mb-0">
+                            <thead>
+                                <tr><th>Template</th><th>Pages</th><th>LCP</th><th>CLS</th><th>TBT</th><th>DOMContentLoaded</th><th>Load</th><th>Requests</th><th>Transfer</th><th>Poor pages</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    renderSitemapHealth(report) {
+        const panel = document.getElementById('sitemapHealthPanel');
+        if (!panel) return;
+
+        if (!report) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const { totals } = report;
+        const headerBadge = totals.errors > 0 ?
+            `<span class="badge bg-danger">${totals.errors} error${totals.errors !== 1 ? 's' : ''}</span>` :
+            '<span class="badge bg-success"><i class="fas fa-check"></i> Valid</span>';
+        const warningBadge = totals.warnings > 0 ?
+            `<span class="badge bg-warning">${totals.warnings} warning${totals.warnings !== 1 ? 's' : ''}</span>` : '';
+
+        const issuesHTML = report.issues.length === 0 ?
+            '<p class="text-muted mb-0"><i class="fas fa-check-circle text-success"></i> No sitemap protocol problems found.</p>' :
+            report.issues.map(issue => `
+                <div class="mb-3">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <strong>
+                            <i class="fas fa-${issue.severity === 'error' ? 'times-circle text-danger' : 'exclamation-triangle text-warning'}"></i>
+                            ${issue.message}
+                        </strong>
+                        <span class="badge bg-secondary">${issue.count}</span>
+                    </div>
+                    <ul class="small text-muted mb-0" style="word-break: break-all;">
+                        ${issue.examples.map(example => `
+                            <li>
+                                ${example.loc || example.sitemap}
+                                ${example.value ? `<code>${example.value}</code>` : ''}
+                                ${example.loc ? `<span class="text-muted">(in ${example.sitemap.split('/').pop()})</span>` : ''}
+                            </li>
+                        `).join('')}
+                        ${issue.count > issue.examples.length ? `<li>...and ${issue.count - issue.examples.length} more</li>` : ''}
+                    </ul>
+                </div>
+            `).join('');
+
+        panel.innerHTML = `
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-center collapsible-header" onclick="document.getElementById('sitemapHealthDetails').classList.toggle('expanded')">
+                    <h5 class="mb-0"><i class="fas fa-heartbeat"></i> Sitemap Health</h5>
+                    <div class="d-flex gap-2 align-items-center">
+                        <small class="text-muted">${totals.sitemaps} sitemap${totals.sitemaps !== 1 ? 's' : ''}, ${totals.urls} URLs</small>
+                        ${headerBadge}
+                        ${warningBadge}
+                        <i class="fas fa-chevron-down"></i>
+                    </div>
+                </div>
+                <div class="collapsible-content" id="sitemapHealthDetails">
+                    <div class="pt-3">
+                        ${issuesHTML}
+                        <div class="small text-muted mt-2">
+                            Checked ${new Date(report.checkedAt).toLocaleString()}:
+                            ${report.sitemaps.map(sitemap => `${sitemap.url.split('/').pop()} (${sitemap.urlCount} ${sitemap.type === 'sitemapindex' ? 'sitemaps' : 'URLs'}, ${(sitemap.bytes / 1024).toFixed(0)}KB)`).join(', ')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        panel.classList.remove('hidden');
     }
 
     filterByStatCard(filterType) {
@@ -405,6 +930,8 @@ class SEOCheckerV2 {
             this.filteredResults = this.currentResults.filter(r => r.status === 'warning' || r.status === 'needs_attention');
         } else if (filterType === 'error') {
             this.filteredResults = this.currentResults.filter(r => r.status === 'error');
+        } else if (filterType === 'blocked') {
+            this.filteredResults = this.currentResults.filter(r => r.status === 'blocked');
         } else if (filterType === 'withMeta') {
             this.filteredResults = this.currentResults.filter(r => r.hasMetaDescription);
         }
@@ -422,6 +949,7 @@ class SEOCheckerV2 {
             good: 'URLs with good status',
             warning: 'URLs with warnings',
             error: 'URLs with errors',
+            blocked: 'URLs blocked by robots.txt',
             withMeta: 'URLs with meta descriptions'
         };
         this.showNotification(`Showing ${labels[filterType]} (${this.filteredResults.length})`, 'info');
@@ -808,6 +1336,10 @@ class SEOCheckerV2 {
                 return false;
             }
 
+            if (this.currentView === 'removed' && !result.removedFromSitemap) {
+                return false;
+            }
+
             // Hide done filter
             if (this.hideDone && result.reviewStatus === 'reviewed') {
                 return false;
@@ -842,14 +1374,19 @@ class SEOCheckerV2 {
             r.reviewStatus === 'in_progress'
         ).length;
 
+        // Count URLs that are no longer in the sitemap
+        const removedCount = this.currentResults.filter(r => r.removedFromSitemap).length;
+
         // Update badges
         const allBadge = document.getElementById('allItemsCount');
         const needsAttentionBadge = document.getElementById('needsAttentionCount');
         const inProgressBadge = document.getElementById('inProgressCount');
+        const removedBadge = document.getElementById('removedCount');
 
         if (allBadge) allBadge.textContent = allItemsCount;
         if (needsAttentionBadge) needsAttentionBadge.textContent = needsAttentionCount;
         if (inProgressBadge) inProgressBadge.textContent = inProgressCount;
+        if (removedBadge) removedBadge.textContent = removedCount;
     }
 
     toggleHideDone() {
@@ -870,18 +1407,64 @@ class SEOCheckerV2 {
             return;
         }
 
-        resultsList.innerHTML = this.filteredResults.map(result =>
+        const removedHeader = this.currentView === 'removed' ? `
+            <div class="alert alert-secondary d-flex justify-content-between align-items-center">
+                <span>
+                    <i class="fas fa-unlink"></i>
+                    These URLs are no longer in the sitemap. The status shown is from their last crawl - plan redirects, then archive them.
+                </span>
+                <button class="btn btn-sm btn-outline-secondary" onclick="app.archiveRemovedUrls()">
+                    <i class="fas fa-archive"></i> Archive ${this.filteredResults.length} URL${this.filteredResults.length !== 1 ? 's' : ''}
+                </button>
+            </div>
+        ` : '';
+
+        resultsList.innerHTML = removedHeader + this.filteredResults.map(result =>
             this.renderUrlItemHTML(result)
         ).join('');
     }
 
+    async archiveRemovedUrls() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        const urls = this.filteredResults.filter(result => result.removedFromSitemap).map(result => result.url);
+
+        if (!sitemapUrl || urls.length === 0) return;
+
+        if (!confirm(`Archive ${urls.length} removed URL${urls.length !== 1 ? 's' : ''}? They will be moved out of the active results.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/removed-urls/archive', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, urls })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            const archived = new Set(urls);
+            this.currentResults = this.currentResults.filter(result => !archived.has(result.url));
+            this.applyFilters();
+            this.showNotification(`Archived ${data.archived} URL${data.archived !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            this.showError('Failed to archive URLs: ' + error.message);
+        }
+    }
+
     renderUrlItemHTML(result, inTree = false) {
         const statusClass = result.status || 'warning';
         const charCount = result.characterCount || 0;
+        const thumbnail = inTree ? result.screenshots?.images?.['desktop-fold'] : null;
 
         return `
             <div class="url-item-v2 ${statusClass}" data-url="${result.url}" onclick="app.openUrlDetails('${result.url}')" style="cursor: pointer;">
                 <div class="d-flex justify-content-between align-items-start">
+                    ${thumbnail ? `<img class="screenshot-thumb me-3" src="${this.getScreenshotUrl(result.url, thumbnail)}" alt="" loading="lazy">` : ''}
                     <div class="flex-grow-1" style="min-width: 0; overflow-wrap: break-word;">
                         <div class="d-flex align-items-center gap-2 mb-1">
                             <strong style="overflow-wrap: break-word; word-break: break-word;">${result.title || result.url}</strong>
@@ -899,6 +1482,14 @@ class SEOCheckerV2 {
                         ${(result.reviewStatus === 'reviewed' || result.reviewStatus === 'done') ? `<span class="badge bg-info" style="background-color: rgb(13, 165, 240) !important;"><i class="fas fa-check-circle"></i> Reviewed</span>` : ''}
                         ${result.hasChanged ? `<span class="badge bg-info"><i class="fas fa-history"></i> Changed</span>` : ''}
                         ${result.changeType === 'new' ? `<span class="badge bg-success"><i class="fas fa-plus"></i> New</span>` : ''}
+                        ${result.redirectChain && result.redirectChain.length > 0 ? `<span class="badge bg-warning text-dark" title="${result.finalUrl}"><i class="fas fa-directions"></i> ${result.redirectChain.length > 1 ? `${result.redirectChain.length} redirects` : 'Redirects'}</span>` : ''}
+                        ${result.redirectLoop ? `<span class="badge bg-danger"><i class="fas fa-sync"></i> Redirect loop</span>` : ''}
+                        ${result.failureType ? `<span class="badge bg-${result.failureType === 'transient' ? 'warning text-dark' : 'danger'}" title="${result.attempts} attempt${result.attempts !== 1 ? 's' : ''}">${result.failureType === 'transient' ? '<i class="fas fa-redo"></i> Temporary' : 'Permanent'} failure</span>` : ''}
+                        ${result.renderComparison?.differences.length > 0 ? `<span class="badge bg-warning text-dark" title="${result.renderComparison.differences.map(difference => difference.label).join(', ')}"><i class="fas fa-code"></i> JS-dependent</span>` : ''}
+                        ${result.deviceComparison?.differences.length > 0 ? `<span class="badge bg-warning text-dark" title="${result.deviceComparison.differences.map(difference => difference.label).join(', ')}"><i class="fas fa-mobile-alt"></i> Mobile/desktop differ</span>` : ''}
+                        ${result.performance?.ratings && Object.values(result.performance.ratings).some(rating => rating && rating !== 'good') ? `<span class="badge bg-${Object.values(result.performance.ratings).includes('poor') ? 'danger' : 'warning text-dark'}" title="LCP ${result.performance.lcp} ms, CLS ${result.performance.cls}, TBT ${result.performance.tbt} ms"><i class="fas fa-tachometer-alt"></i> Slow</span>` : ''}
+                        ${result.blockedByRobots && result.status !== 'blocked' ? `<span class="badge bg-secondary" title="${result.blockedByRobots}"><i class="fas fa-robot"></i> Disallowed</span>` : ''}
+                        ${result.removedFromSitemap ? `<span class="badge bg-secondary" title="Removed ${new Date(result.removedAt).toLocaleDateString()}"><i class="fas fa-unlink"></i> Not in sitemap</span>` : ''}
                         ${result.issues && result.issues.length > 0 ? `<span class="badge bg-danger">${result.issues.length} issue${result.issues.length > 1 ? 's' : ''}</span>` : ''}
                     </div>
                 </div>
@@ -931,10 +1522,13 @@ class SEOCheckerV2 {
                     warning: data.results.filter(r => r.status === 'warning').length,
                     error: data.results.filter(r => r.status === 'error').length,
                     withMetaDescription: data.results.filter(r => r.hasMetaDescription).length,
-                    percentageWithMeta: Math.round((data.results.filter(r => r.hasMetaDescription).length / data.results.length) * 100)
+                    percentageWithMeta: Math.round((data.results.filter(r => r.hasMetaDescription).length / data.results.length) * 100),
+                    performanceByTemplate: data.performanceByTemplate
                 };
 
                 this.renderStats(summary);
+                this.renderSitemapHealth(data.sitemapHealth);
+                this.loadDiscovery(sitemapUrl);
                 this.renderCharacterHistogram();
                 this.applyFilters();
 
@@ -1064,7 +1658,8 @@ class SEOCheckerV2 {
                 body: JSON.stringify({
                     url,
                     title: title || '',
-                    currentMeta: currentMeta || ''
+                    currentMeta: currentMeta || '',
+                    sitemapUrl: document.getElementById('sitemapUrl').value
                 })
             });
 
@@ -1458,7 +2053,12 @@ class SEOCheckerV2 {
                         ${history.reverse().map(change => {
                             const date = new Date(change.timestamp).toLocaleString();
                             const changeIcon = change.changeType === 'new_url' ? 'plus' :
+                                              change.changeType === 'removed_url' ? 'unlink' :
+                                              change.changeType === 'screenshot' ? 'camera' :
                                               change.changeType === 'meta_description' ? 'edit' : 'heading';
+                            if (change.changeType === 'screenshot') {
+                                return this.renderScreenshotChange(change, date);
+                            }
                             return `
                                 <div class="timeline-item mb-4 p-3" style="border-left: 4px solid #667eea; background: var(--bg-primary); border-radius: 5px;">
                                     <div class="d-flex justify-content-between mb-2">
@@ -1467,6 +2067,9 @@ class SEOCheckerV2 {
                                         </span>
                                         <small class="text-muted">${date}</small>
                                     </div>
+                                    ${change.lastKnownStatus ? `
+                                        <div class="mb-2"><strong>Last known status:</strong> <span class="badge bg-${change.lastKnownStatus}">${change.lastKnownStatus}</span></div>
+                                    ` : ''}
                                     ${change.oldValue ? `
                                         <div class="mb-2">
                                             <strong class="text-danger">Old:</strong><br/>
@@ -1493,6 +2096,88 @@ class SEOCheckerV2 {
         }
     }
 
+    getScreenshotUrl(url, file) {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        return `/api/screenshots/image?sitemapUrl=${encodeURIComponent(sitemapUrl)}&url=${encodeURIComponent(url)}&file=${encodeURIComponent(file)}`;
+    }
+
+    // Visual change: the desktop and mobile above-the-fold captures before and after
+    renderScreenshotChange(change, date) {
+        const captures = (setId) => ['desktop', 'mobile'].map(device => `
+            <a href="${this.getScreenshotUrl(change.url, `${setId}-${device}-full.jpg`)}" target="_blank" title="${device}, full page">
+                <img class="screenshot-thumb" src="${this.getScreenshotUrl(change.url, `${setId}-${device}-fold.jpg`)}" alt="${device}" loading="lazy" onerror="this.replaceWith('(no longer stored)')">
+            </a>
+        `).join('');
+
+        return `
+            <div class="timeline-item mb-4 p-3" style="border-left: 4px solid #667eea; background: var(--bg-primary); border-radius: 5px;">
+                <div class="d-flex justify-content-between mb-2">
+                    <span class="badge bg-secondary"><i class="fas fa-camera"></i> screenshot</span>
+                    <small class="text-muted">${date}</small>
+                </div>
+                <div class="d-flex gap-4 flex-wrap">
+                    <div><strong class="text-danger">Old:</strong><div class="d-flex gap-2 mt-1">${captures(change.oldValue)}</div></div>
+                    <div><strong class="text-success">New:</strong><div class="d-flex gap-2 mt-1">${captures(change.newValue)}</div></div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Screenshots in the URL details: the latest capture large, earlier ones as a strip
+    async loadScreenshots(url) {
+        const container = document.getElementById('modalScreenshots');
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        if (!container || !sitemapUrl) return;
+
+        try {
+            const response = await fetch(`/api/screenshots?sitemapUrl=${encodeURIComponent(sitemapUrl)}&url=${encodeURIComponent(url)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            // The modal may show another URL by now
+            if (this.currentModalUrl && this.currentModalUrl !== url) return;
+
+            if (data.sets.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const [latest, ...older] = data.sets;
+            const capture = (set, device, className) => set.images[`${device}-fold`] ? `
+                <a href="${this.getScreenshotUrl(url, set.images[`${device}-full`])}" target="_blank" title="Open full page">
+                    <img class="${className}" src="${this.getScreenshotUrl(url, set.images[`${device}-fold`])}" alt="${device}" loading="lazy">
+                </a>
+            ` : '';
+
+            container.innerHTML = `
+                <h6 class="border-bottom pb-2"><i class="fas fa-camera"></i> Screenshots</h6>
+                <div class="d-flex gap-2 align-items-start mb-1">
+                    <div class="flex-grow-1">${capture(latest, 'desktop', 'screenshot-preview')}</div>
+                    <div style="width: 30%;">${capture(latest, 'mobile', 'screenshot-preview')}</div>
+                </div>
+                <small class="text-muted d-block">
+                    Captured ${new Date(latest.capturedAt).toLocaleString()}${latest.lastSeenAt !== latest.capturedAt ? `, unchanged as of ${new Date(latest.lastSeenAt).toLocaleString()}` : ''}.
+                    Click an image for the full page.
+                </small>
+                ${older.length > 0 ? `
+                    <div class="small fw-bold mt-2">Earlier versions</div>
+                    <div class="d-flex gap-2 flex-wrap">
+                        ${older.map(set => `
+                            <div class="text-center">
+                                ${capture(set, 'desktop', 'screenshot-thumb')}
+                                <div class="small text-muted">${new Date(set.capturedAt).toLocaleDateString()}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
+        } catch (error) {
+            container.innerHTML = '';
+        }
+    }
+
     async rescanUrl(url, keepModalOpen = false) {
         const sitemapUrl = document.getElementById('sitemapUrl').value;
         if (!sitemapUrl) {
@@ -1519,7 +2204,14 @@ class SEOCheckerV2 {
             const response = await fetch('/api/rescan-url', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url, sitemapUrl })
+                body: JSON.stringify({
+                    url,
+                    sitemapUrl,
+                    compareRendering: document.getElementById('compareRendering').checked,
+                    compareDevices: document.getElementById('compareDevices').checked,
+                    measurePerformance: document.getElementById('measurePerformance').checked,
+                    captureScreenshots: document.getElementById('captureScreenshots').checked
+                })
             });
 
             if (!response.ok) {
@@ -1630,7 +2322,8 @@ class SEOCheckerV2 {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     pages,
-                    suggestionsPerPage: suggestionsCount
+                    suggestionsPerPage: suggestionsCount,
+                    sitemapUrl: document.getElementById('sitemapUrl').value
                 })
             });
 
@@ -1695,7 +2388,7 @@ class SEOCheckerV2 {
             const response = await fetch('/api/detect-mbo', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ baseUrl })
+                body: JSON.stringify({ baseUrl, sitemapUrl })
             });
 
             const data = await response.json();
@@ -1852,12 +2545,18 @@ class SEOCheckerV2 {
         const objectId = result.dataLayer.objectId;
         console.log('Generating MBO button for:', result.url, 'ObjectID:', objectId);
 
+        // The sitemap's platform adapter says what the admin link looks like
+        const template = this.platform?.adminUrlTemplate;
+        if (!template) {
+            return '';
+        }
+
         // If we have an MBO token, generate the URL
         if (this.mboSession && this.mboSession.token) {
-            const urlObj = new URL(result.url);
-            const baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
-            const shopId = 'yxve46fvrnud'; // This should match the shop ID in webCrawler.js
-            const mboUrl = `${baseUrl}/epages/${shopId}.admin/sec${this.mboSession.token}/?ObjectID=${objectId}`;
+            const mboUrl = template
+                .replace('{origin}', new URL(result.url).origin)
+                .replace('{token}', encodeURIComponent(this.mboSession.token))
+                .replace('{objectId}', encodeURIComponent(objectId));
 
             return `
                 <a href="${mboUrl}" target="_blank" class="btn btn-sm" style="color: #fff; background-color: #d41118; border-color: #d41118;" title="Edit in MBO">
@@ -1909,6 +2608,11 @@ class SEOCheckerV2 {
                             </div>
                         </div>
 
+                        ${this.renderRedirectChain(result)}
+                        ${this.renderRenderComparison(result)}
+                        ${this.renderDeviceComparison(result)}
+                        ${this.renderPerformance(result)}
+
                         <div class="mb-3">
                             <label class="form-label fw-bold">Page Title</label>
                             <textarea class="form-control" rows="2" id="modalTitle" oninput="app.updateTitleCharCount()">${result.title || ''}</textarea>
@@ -1961,6 +2665,8 @@ class SEOCheckerV2 {
                         </div>
                     </div>
 
+                    <div class="mb-4" id="modalScreenshots"></div>
+
                     <div class="mb-4">
                         <h6 class="border-bottom pb-2"><i class="fas fa-flag"></i> Review Status</h6>
                         <div class="btn-group d-flex review-status-buttons" role="group" data-url="${result.url}">
@@ -1996,6 +2702,8 @@ class SEOCheckerV2 {
                                 <span>Last Analyzed:</span>
                                 <span class="text-muted small">${result.lastAnalyzed ? new Date(result.lastAnalyzed).toLocaleString() : 'N/A'}</span>
                             </li>
+                            ${this.renderSitemapMetaItems(result)}
+                            ${this.renderResponseItems(result)}
                             ${result.hasChanged ? `
                                 <li class="list-group-item d-flex justify-content-between">
                                     <span>Status:</span>
@@ -2009,6 +2717,7 @@ class SEOCheckerV2 {
         `;
 
         document.getElementById('urlDetailsContent').innerHTML = modalContent;
+        this.loadScreenshots(url);
 
         // Show the modal without backdrop
         const modal = new bootstrap.Modal(document.getElementById('urlDetailsModal'), {
@@ -2051,6 +2760,11 @@ class SEOCheckerV2 {
                             </div>
                         </div>
 
+                        ${this.renderRedirectChain(result)}
+                        ${this.renderRenderComparison(result)}
+                        ${this.renderDeviceComparison(result)}
+                        ${this.renderPerformance(result)}
+
                         <div class="mb-3">
                             <label class="form-label fw-bold">Page Title</label>
                             <textarea class="form-control" rows="2" id="modalTitle" oninput="app.updateTitleCharCount()">${result.title || ''}</textarea>
@@ -2103,6 +2817,8 @@ class SEOCheckerV2 {
                         </div>
                     </div>
 
+                    <div class="mb-4" id="modalScreenshots"></div>
+
                     <div class="mb-4">
                         <h6 class="border-bottom pb-2"><i class="fas fa-flag"></i> Review Status</h6>
                         <div class="btn-group d-flex review-status-buttons" role="group" data-url="${result.url}">
@@ -2136,6 +2852,8 @@ class SEOCheckerV2 {
                                 <span>Last Analyzed:</span>
                                 <span class="text-muted small">${result.lastAnalyzed ? new Date(result.lastAnalyzed).toLocaleString() : 'N/A'}</span>
                             </li>
+                            ${this.renderSitemapMetaItems(result)}
+                            ${this.renderResponseItems(result)}
                             ${result.hasChanged ? `
                                 <li class="list-group-item d-flex justify-content-between">
                                     <span>Status:</span>
@@ -2149,6 +2867,236 @@ class SEOCheckerV2 {
         `;
 
         document.getElementById('urlDetailsContent').innerHTML = modalContent;
+        this.loadScreenshots(url);
+    }
+
+    renderRedirectChain(result) {
+        if (!result.redirectChain || result.redirectChain.length === 0) return '';
+
+        return `
+            <div class="mb-3">
+                <label class="form-label fw-bold">Redirect Chain</label>
+                <ol class="list-group list-group-numbered small">
+                    ${result.redirectChain.map(hop => `
+                        <li class="list-group-item">
+                            <span class="badge bg-secondary">${hop.status}</span>
+                            <span style="word-break: break-all;">${hop.url}</span>
+                        </li>
+                    `).join('')}
+                    ${result.finalUrl ? `
+                        <li class="list-group-item list-group-item-success">
+                            <span class="badge bg-success">final</span>
+                            <span style="word-break: break-all;">${result.finalUrl}</span>
+                        </li>
+                    ` : ''}
+                </ol>
+            </div>
+        `;
+    }
+
+    // Audit mode: tags that differ between the raw server HTML and the rendered DOM
+    renderRenderComparison(result) {
+        const differences = result.renderComparison?.differences;
+        if (!differences || differences.length === 0) return '';
+
+        const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const cell = (value) => value === null
+            ? '<span class="text-muted fst-italic">missing</span>'
+            : escape(value.length > 200 ? value.substring(0, 200) + '…' : value);
+
+        return `
+            <div class="mb-3">
+                <label class="form-label fw-bold">Raw vs Rendered HTML</label>
+                <table class="table table-sm small mb-0">
+                    <thead>
+                        <tr><th></th><th>Raw HTML</th><th>After JavaScript</th></tr>
+                    </thead>
+                    <tbody>
+                        ${differences.map(difference => `
+                            <tr>
+                                <td class="text-nowrap">${escape(difference.label)}</td>
+                                <td style="word-break: break-all;">${cell(difference.raw)}</td>
+                                <td style="word-break: break-all;">${cell(difference.rendered)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Lab metrics from the throttled mobile load
+    renderPerformance(result) {
+        const performance = result.performance;
+        if (!performance) return '';
+
+        if (performance.error) {
+            return `
+                <div class="mb-3">
+                    <label class="form-label fw-bold">Performance</label>
+                    <div class="small text-danger">Measurement failed: ${String(performance.error).replace(/</g, '&lt;')}</div>
+                </div>
+            `;
+        }
+
+        const ratingClass = { good: 'text-success', needs_improvement: 'text-warning', poor: 'text-danger' };
+        const metric = (label, value, rating) => `
+            <div class="col-4 col-md-2">
+                <div class="small text-muted">${label}</div>
+                <div class="fw-bold ${ratingClass[rating] || ''}">${value}</div>
+            </div>
+        `;
+        const ms = (value) => value === null ? '–' : value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${value} ms`;
+        const ratings = performance.ratings || {};
+
+        return `
+            <div class="mb-3">
+                <label class="form-label fw-bold">Performance <small class="text-muted fw-normal">(${performance.profile})</small></label>
+                <div class="row g-2">
+                    ${metric('LCP', ms(performance.lcp), ratings.lcp)}
+                    ${metric('CLS', performance.cls, ratings.cls)}
+                    ${metric('TBT', ms(performance.tbt), ratings.tbt)}
+                    ${metric('DOMContentLoaded', ms(performance.domContentLoaded))}
+                    ${metric('Load', ms(performance.load))}
+                    ${metric('Requests', `${performance.requests} (${Math.round(performance.transferBytes / 1024)} KB)`)}
+                </div>
+            </div>
+        `;
+    }
+
+    // Parity audit: smartphone vs desktop Googlebot render
+    renderDeviceComparison(result) {
+        const comparison = result.deviceComparison;
+        if (!comparison) return '';
+
+        const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        if (comparison.error) {
+            return `
+                <div class="mb-3">
+                    <label class="form-label fw-bold">Mobile vs Desktop</label>
+                    <div class="small text-danger">Desktop render failed: ${escape(comparison.error)}</div>
+                </div>
+            `;
+        }
+
+        if (comparison.differences.length === 0 && comparison.desktopOnlyText.length === 0) return '';
+
+        const cell = (value) => value === null || value === ''
+            ? '<span class="text-muted fst-italic">missing</span>'
+            : escape(String(value).length > 200 ? String(value).substring(0, 200) + '…' : value).replace(/\n/g, '<br>');
+
+        return `
+            <div class="mb-3">
+                <label class="form-label fw-bold">Mobile vs Desktop</label>
+                ${comparison.differences.length > 0 ? `
+                    <table class="table table-sm small mb-2">
+                        <thead>
+                            <tr><th></th><th>Smartphone</th><th>Desktop</th></tr>
+                        </thead>
+                        <tbody>
+                            ${comparison.differences.map(difference => `
+                                <tr>
+                                    <td class="text-nowrap">${escape(difference.label)}</td>
+                                    <td style="word-break: break-all;">${cell(difference.mobile)}</td>
+                                    <td style="word-break: break-all;">${cell(difference.desktop)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+                ${comparison.desktopOnlyText.length > 0 ? `
+                    <div class="small text-muted mb-1">Only visible on desktop (${comparison.desktopOnlyWords} words):</div>
+                    <ul class="small mb-0">
+                        ${comparison.desktopOnlyText.map(line => `<li>${escape(line)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderResponseItems(result) {
+        const items = [];
+        const formatBytes = (bytes) => bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+
+        if (result.timings) {
+            const { timings } = result;
+            items.push(['Time to first byte:', `${timings.ttfb} ms`]);
+            const phases = [
+                timings.dns !== null ? `DNS ${timings.dns} ms` : null,
+                timings.connect !== null ? `connect ${timings.connect} ms` : null,
+                timings.tls ? `TLS ${timings.tls} ms` : null,
+                `download ${timings.download} ms`
+            ].filter(Boolean);
+            items.push(['Total load:', `${timings.total} ms <span title="${phases.join(', ')}"><i class="fas fa-info-circle"></i></span>`]);
+        }
+        if (result.bytes) {
+            const { transferred, uncompressed } = result.bytes;
+            items.push(['Page size:', transferred !== null && transferred !== uncompressed ?
+                `${formatBytes(transferred)} (${formatBytes(uncompressed)} uncompressed)` : formatBytes(uncompressed)]);
+        }
+        if (result.technicalSeo?.xRobotsTag) {
+            items.push(['X-Robots-Tag:', result.technicalSeo.xRobotsTag]);
+        }
+
+        const rows = items.map(([label, value]) => `
+            <li class="list-group-item d-flex justify-content-between">
+                <span>${label}</span>
+                <span class="text-muted small text-end" style="word-break: break-all;">${value}</span>
+            </li>
+        `).join('');
+
+        const headers = result.headers ? `
+            <li class="list-group-item">
+                <details>
+                    <summary>Response headers (${Object.keys(result.headers).length})</summary>
+                    <table class="table table-sm small mb-0 mt-2">
+                        ${Object.entries(result.headers).map(([name, value]) => `
+                            <tr><td class="text-muted">${name}</td><td style="word-break: break-all;">${value}</td></tr>
+                        `).join('')}
+                    </table>
+                </details>
+            </li>
+        ` : '';
+
+        return rows + headers;
+    }
+
+    renderSitemapMetaItems(result) {
+        const meta = result.sitemapMeta;
+        if (!meta) return '';
+
+        const items = [];
+        if (meta.lastmod) {
+            items.push(['Sitemap lastmod:', new Date(meta.lastmod).toString() !== 'Invalid Date' ? new Date(meta.lastmod).toLocaleString() : meta.lastmod]);
+        }
+        if (meta.priority !== null && meta.priority !== undefined) {
+            items.push(['Sitemap priority:', meta.priority]);
+        }
+        if (meta.changefreq) {
+            items.push(['Change frequency:', meta.changefreq]);
+        }
+        if (meta.alternates && meta.alternates.length > 0) {
+            items.push(['Hreflang alternates:', meta.alternates.map(alt =>
+                `<a href="${alt.href}" target="_blank" title="${alt.href}">${alt.hreflang}</a>`
+            ).join(', ')]);
+        }
+        if (meta.images && meta.images.length > 0) {
+            items.push(['Sitemap images:', meta.images.length]);
+        }
+        if (meta.videos && meta.videos.length > 0) {
+            items.push(['Sitemap videos:', meta.videos.length]);
+        }
+        if (meta.sourceSitemap) {
+            items.push(['Listed in:', `<a href="${meta.sourceSitemap}" target="_blank">${meta.sourceSitemap.split('/').pop() || meta.sourceSitemap}</a>`]);
+        }
+
+        return items.map(([label, value]) => `
+            <li class="list-group-item d-flex justify-content-between">
+                <span>${label}</span>
+                <span class="text-muted small text-end" style="word-break: break-all;">${value}</span>
+            </li>
+        `).join('');
     }
 
     generateSeoSuggestions(result) {
@@ -2198,7 +3146,8 @@ class SEOCheckerV2 {
                     option.value = scan.sitemapUrl || '';
 
                     // Create a readable label
-                    const domain = scan.sitemapUrl ? new URL(scan.sitemapUrl).hostname : 'Unknown';
+                    // Uploaded and pasted sources (upload:name, list:name) have no hostname
+                    const domain = scan.sitemapUrl ? (new URL(scan.sitemapUrl).hostname || scan.sitemapUrl) : 'Unknown';
                     const date = new Date(scan.lastScanned).toLocaleDateString();
                     const time = new Date(scan.lastScanned).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
@@ -2331,6 +3280,9 @@ class SEOCheckerV2 {
 
         const modal = new bootstrap.Modal(document.getElementById('selectiveScanModal'));
         modal.show();
+        this.loadRenderingRules(sitemapUrl);
+        this.loadPlatform(sitemapUrl);
+        this.loadSiteAuth(sitemapUrl);
         await this.loadSelectiveUrls(sitemapUrl);
     }
 
@@ -2354,8 +3306,15 @@ class SEOCheckerV2 {
                 this.selectiveUrls = data.urls;
                 this.filteredSelectiveUrls = [...this.selectiveUrls];
 
+                const sitemapCount = data.sitemaps ? data.sitemaps.length : 1;
                 document.getElementById('selectiveScanStats').textContent =
-                    `Total: ${data.total} | Scanned: ${data.scanned} | Unscanned: ${data.unscanned}`;
+                    `Total: ${data.total} | Scanned: ${data.scanned} | Unscanned: ${data.unscanned} | From ${sitemapCount} sitemap${sitemapCount !== 1 ? 's' : ''}`;
+                document.getElementById('selectiveScanStats').title = (data.sitemaps || []).join('\n');
+
+                this.filterRules = data.filters || [];
+                this.renderFilterRules();
+                this.renderFilterSummary(data.filterSummary);
+                document.getElementById('filterPreviewResult').innerHTML = '';
 
                 this.renderSelectiveUrlsList();
             } else {
@@ -2371,6 +3330,359 @@ class SEOCheckerV2 {
         }
     }
 
+    // URL filter rules (include/exclude) saved per sitemap
+    renderFilterRules() {
+        const container = document.getElementById('filterRulesList');
+        if (!container) return;
+
+        if (this.filterRules.length === 0) {
+            container.innerHTML = '<p class="text-muted small mb-0">No rules yet - every URL in the sitemap is scanned.</p>';
+            return;
+        }
+
+        container.innerHTML = this.filterRules.map((rule, index) => `
+            <div class="input-group input-group-sm mb-2">
+                <select class="form-select" style="max-width: 120px;" onchange="app.updateFilterRule(${index}, 'action', this.value)">
+                    <option value="exclude" ${rule.action === 'exclude' ? 'selected' : ''}>Exclude</option>
+                    <option value="include" ${rule.action === 'include' ? 'selected' : ''}>Include</option>
+                </select>
+                <select class="form-select" style="max-width: 120px;" onchange="app.updateFilterRule(${index}, 'type', this.value)">
+                    <option value="glob" ${rule.type === 'glob' ? 'selected' : ''}>Glob</option>
+                    <option value="prefix" ${rule.type === 'prefix' ? 'selected' : ''}>Path prefix</option>
+                    <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
+                </select>
+                <input type="text" class="form-control" value="${rule.pattern.replace(/"/g, '&quot;')}" placeholder="/Search*"
+                       onchange="app.updateFilterRule(${index}, 'pattern', this.value)">
+                <button type="button" class="btn btn-outline-danger" onclick="app.removeFilterRule(${index})" title="Remove rule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    renderFilterSummary(summary) {
+        const element = document.getElementById('selectiveFilterSummary');
+        if (!element) return;
+
+        if (!summary) {
+            element.textContent = 'No filters';
+            return;
+        }
+
+        const ruleCount = summary.rules.length;
+        element.textContent = `${ruleCount} rule${ruleCount !== 1 ? 's' : ''} - ${summary.removed} of ${summary.total} URLs filtered out`;
+    }
+
+    addFilterRule() {
+        this.filterRules.push({ action: 'exclude', type: 'glob', pattern: '' });
+        this.renderFilterRules();
+    }
+
+    updateFilterRule(index, field, value) {
+        if (this.filterRules[index]) {
+            this.filterRules[index][field] = value;
+        }
+    }
+
+    removeFilterRule(index) {
+        this.filterRules.splice(index, 1);
+        this.renderFilterRules();
+    }
+
+    async previewFilters() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        const container = document.getElementById('filterPreviewResult');
+        container.innerHTML = '<small class="text-muted"><i class="fas fa-spinner fa-spin"></i> Checking rules against the sitemap...</small>';
+
+        try {
+            const response = await fetch('/api/sitemaps/filters/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, filters: this.filterRules })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            container.innerHTML = `
+                <div class="alert alert-info small mb-0">
+                    <strong>Keeps ${data.kept} of ${data.total} URLs</strong> (${data.removed} removed)
+                    <ul class="mb-0 mt-1">
+                        ${data.notIncluded > 0 ? `<li>${data.notIncluded} URLs don't match any include rule</li>` : ''}
+                        ${data.rules.map(rule => `
+                            <li>
+                                ${rule.action === 'include' ? 'Include' : 'Exclude'} <code>${rule.pattern}</code> (${rule.type}):
+                                ${rule.action === 'include' ? `matches ${rule.matched}` : `removes ${rule.removed}`}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div class="alert alert-danger small mb-0">Preview failed: ${error.message}</div>`;
+        }
+    }
+
+    async saveFilters() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+
+        try {
+            const response = await fetch('/api/sitemaps/filters', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, filters: this.filterRules })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.showNotification(`Saved ${data.filters.length} filter rule${data.filters.length !== 1 ? 's' : ''}`, 'success');
+            this.selectedSelectiveUrls.clear();
+            await this.loadSelectiveUrls(sitemapUrl);
+        } catch (error) {
+            this.showError('Failed to save filters: ' + error.message);
+        }
+    }
+
+    // Shop platform adapter per sitemap; its admin URL template drives the Edit buttons
+    async loadPlatform(sitemapUrl) {
+        if (!sitemapUrl) return;
+
+        try {
+            if (this.platforms.length === 0) {
+                const response = await fetch('/api/platforms');
+                this.platforms = (await response.json()).platforms || [];
+                document.getElementById('platformType').innerHTML = this.platforms
+                    .map(platform => `<option value="${platform.type}">${platform.label}</option>`)
+                    .join('');
+            }
+
+            const response = await fetch(`/api/sitemaps/platform?sitemapUrl=${encodeURIComponent(sitemapUrl)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.setPlatform(data.platform);
+        } catch (error) {
+            console.error('Error loading platform:', error);
+        }
+    }
+
+    setPlatform(platform) {
+        const templateChanged = this.platform?.adminUrlTemplate !== platform.adminUrlTemplate;
+        this.platform = platform;
+
+        document.getElementById('platformType').value = platform.type;
+        document.getElementById('platformSummary').textContent = platform.label;
+        this.renderPlatformFields(platform.type, platform.config);
+
+        // Edit buttons were rendered with the old link format
+        if (templateChanged && this.currentResults) {
+            this.applyFilters();
+        }
+    }
+
+    renderPlatformFields(type, config = {}) {
+        const platform = this.platforms.find(candidate => candidate.type === type);
+        document.getElementById('platformConfigFields').innerHTML = (platform?.configFields || []).map(field => `
+            <label for="platformField-${field.name}" class="form-label small">${field.label}</label>
+            <input type="text" class="form-control form-control-sm" id="platformField-${field.name}" data-field="${field.name}"
+                   value="${(config[field.name] || '').replace(/"/g, '&quot;')}" placeholder="${field.placeholder || ''}">
+        `).join('');
+    }
+
+    async savePlatform() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        const platform = { type: document.getElementById('platformType').value };
+        document.querySelectorAll('#platformConfigFields input').forEach(input => {
+            platform[input.dataset.field] = input.value;
+        });
+
+        try {
+            const response = await fetch('/api/sitemaps/platform', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, platform })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.setPlatform(data.platform);
+            this.showNotification(`Platform set to ${data.platform.label}`, 'success');
+        } catch (error) {
+            this.showError('Failed to save platform: ' + error.message);
+        }
+    }
+
+    // Credentials for protected sites. The server only ever sends secrets back
+    // as placeholders, which it swaps for the stored values on save.
+    async loadSiteAuth(sitemapUrl) {
+        try {
+            const response = await fetch(`/api/sitemaps/auth?sitemapUrl=${encodeURIComponent(sitemapUrl)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.renderSiteAuth(data.auth, data.defaultHosts);
+        } catch (error) {
+            document.getElementById('siteAuthSummary').textContent = 'Could not load settings';
+        }
+    }
+
+    renderSiteAuth(auth, defaultHosts) {
+        const set = (id, value) => { document.getElementById(id).value = value || ''; };
+
+        set('authHosts', auth.hosts.join(', '));
+        if (defaultHosts) {
+            document.getElementById('authHosts').placeholder = defaultHosts.join(', ');
+        }
+        set('authBasicUsername', auth.basicAuth?.username);
+        set('authBasicPassword', auth.basicAuth?.password);
+        set('authHeaders', Object.entries(auth.headers).map(([name, value]) => `${name}: ${value}`).join('\n'));
+        set('authCookies', auth.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '));
+        set('authLoginUrl', auth.login?.url);
+        set('authLoginUsername', auth.login?.username);
+        set('authLoginPassword', auth.login?.password);
+        set('authUsernameSelector', auth.login?.usernameSelector);
+        set('authPasswordSelector', auth.login?.passwordSelector);
+        set('authSubmitSelector', auth.login?.submitSelector);
+
+        const parts = [
+            auth.basicAuth ? 'basic auth' : null,
+            Object.keys(auth.headers).length > 0 ? `${Object.keys(auth.headers).length} headers` : null,
+            auth.cookies.length > 0 ? `${auth.cookies.length} cookies` : null,
+            auth.login ? 'login form' : null
+        ].filter(Boolean);
+        document.getElementById('siteAuthSummary').textContent = parts.length > 0 ? parts.join(', ') : 'None';
+    }
+
+    async saveSiteAuth() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        const value = (id) => document.getElementById(id).value.trim();
+
+        const headers = {};
+        value('authHeaders').split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+
+        const auth = {
+            hosts: value('authHosts'),
+            basicAuth: value('authBasicUsername') ? { username: value('authBasicUsername'), password: value('authBasicPassword') } : null,
+            headers,
+            cookies: value('authCookies'),
+            login: value('authLoginUrl') ? {
+                url: value('authLoginUrl'),
+                username: value('authLoginUsername'),
+                password: value('authLoginPassword'),
+                usernameSelector: value('authUsernameSelector'),
+                passwordSelector: value('authPasswordSelector'),
+                submitSelector: value('authSubmitSelector')
+            } : null
+        };
+
+        try {
+            const response = await fetch('/api/sitemaps/auth', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, auth })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.renderSiteAuth(data.auth);
+            this.showNotification('Authentication settings saved', 'success');
+        } catch (error) {
+            this.showError('Failed to save authentication settings: ' + error.message);
+        }
+    }
+
+    // Request blocking for browser-rendered pages, saved per sitemap
+    async loadRenderingRules(sitemapUrl) {
+        try {
+            const response = await fetch(`/api/sitemaps/rendering?sitemapUrl=${encodeURIComponent(sitemapUrl)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.defaultRenderingRules = data.defaults;
+            this.renderRenderingRules(data.rendering);
+        } catch (error) {
+            document.getElementById('renderingRulesSummary').textContent = 'Could not load rules';
+        }
+    }
+
+    renderRenderingRules(rules) {
+        if (!rules) return;
+
+        document.getElementById('renderingBlockEnabled').checked = rules.enabled;
+        document.querySelectorAll('#renderingResourceTypes input').forEach(input => {
+            input.checked = rules.blockResourceTypes.includes(input.value);
+        });
+        document.getElementById('renderingBlockDomains').value = rules.blockDomains.join('\n');
+        document.getElementById('renderingAllowDomains').value = rules.allowDomains.join('\n');
+
+        document.getElementById('renderingRulesSummary').textContent = rules.enabled
+            ? `Blocking ${rules.blockResourceTypes.join(', ') || 'no resource types'} and ${rules.blockDomains.length} domains`
+            : 'Blocking off';
+    }
+
+    async saveRenderingRules() {
+        const sitemapUrl = document.getElementById('sitemapUrl').value;
+        const domains = (id) => document.getElementById(id).value
+            .split('\n')
+            .map(domain => domain.trim())
+            .filter(Boolean);
+
+        const rendering = {
+            enabled: document.getElementById('renderingBlockEnabled').checked,
+            blockResourceTypes: Array.from(document.querySelectorAll('#renderingResourceTypes input:checked')).map(input => input.value),
+            blockDomains: domains('renderingBlockDomains'),
+            allowDomains: domains('renderingAllowDomains')
+        };
+
+        try {
+            const response = await fetch('/api/sitemaps/rendering', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sitemapUrl, rendering })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+
+            this.renderRenderingRules(data.rendering);
+            this.showNotification('Rendering rules saved', 'success');
+        } catch (error) {
+            this.showError('Failed to save rendering rules: ' + error.message);
+        }
+    }
+
     renderSelectiveUrlsList() {
         const container = document.getElementById('selectiveUrlsList');
 
@@ -2466,7 +3778,7 @@ class SEOCheckerV2 {
 
         // Get scan options from the main form
         const options = {
-            delay: parseInt(document.getElementById('delay').value) || 1000,
+            ...this.getCrawlOptions(),
             timeout: parseInt(document.getElementById('timeout').value) || 10000,
             enableMboDetection: true
         };
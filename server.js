@@ -4,9 +4,19 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { SitemapParser } from './src/sitemapParser.js';
+import { SitemapValidator } from './src/sitemapValidator.js';
+import { UrlFilter } from './src/urlFilter.js';
+import { HttpCache } from './src/httpCache.js';
+import { ResourceBlocker } from './src/resourceBlocker.js';
+import { createPlatformAdapter, normalizePlatformConfig, listPlatforms } from './src/platforms/index.js';
+import { SiteAuth } from './src/siteAuth.js';
+import { ScreenshotStore } from './src/screenshotStore.js';
+import { PerformanceMeter } from './src/performanceMeter.js';
+import { CrawlQueue } from './src/crawlQueue.js';
 import { WebCrawler } from './src/webCrawler.js';
 import { MetaExtractor } from './src/metaExtractor.js';
 import { Reporter } from './src/reporter.js';
@@ -31,10 +41,16 @@ const SITEMAPS_FILE = path.join(__dirname, 'saved-sitemaps.json');
 const URL_REVIEWS_FILE = path.join(__dirname, 'url-reviews.json');
 
 app.use(cors());
-app.use(express.json());
+// Uploaded sitemaps and URL lists are sent as JSON, so allow large bodies
+app.use(express.json({ limit: '60mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 let activeAnalysis = null;
+// Held in activeAnalysis while a sitemap scan reads its checkpoint, so a
+// request arriving meanwhile can't start a second scan
+const STARTING_ANALYSIS = 'starting';
+// The /api/analyze run in progress: { analysisId, sitemapUrl, crawler, stopRequested: null | 'pause' | 'cancel' }
+let activeRun = null;
 
 // Load saved sitemaps on startup
 async function loadSavedSitemaps() {
@@ -57,6 +73,105 @@ async function saveSitemapsToFile(sitemaps) {
   }
 }
 
+// Saved sitemap entry for a sitemap URL (holds per-sitemap settings such as filters)
+async function findSavedSitemap(sitemapUrl) {
+  const sitemaps = await loadSavedSitemaps();
+  return sitemaps.find(sitemap => sitemap.url === sitemapUrl) || null;
+}
+
+async function loadUrlFilter(sitemapUrl) {
+  const savedSitemap = await findSavedSitemap(sitemapUrl);
+  return new UrlFilter(savedSitemap?.filters || []);
+}
+
+async function loadResourceBlocker(sitemapUrl) {
+  const savedSitemap = sitemapUrl ? await findSavedSitemap(sitemapUrl) : null;
+  return new ResourceBlocker(savedSitemap?.rendering || {});
+}
+
+async function loadPlatformAdapter(sitemapUrl) {
+  const savedSitemap = sitemapUrl ? await findSavedSitemap(sitemapUrl) : null;
+  return createPlatformAdapter(savedSitemap?.platform || {});
+}
+
+async function loadSiteAuth(sitemapUrl) {
+  const savedSitemap = sitemapUrl ? await findSavedSitemap(sitemapUrl) : null;
+  return savedSitemap?.auth ? new SiteAuth(savedSitemap.auth, { sitemapUrl }) : null;
+}
+
+// Screenshots live in data-v2/screenshots, one directory per sitemap
+function getScreenshotStore(sitemapUrl) {
+  return new ScreenshotStore(path.join(__dirname, 'data-v2', 'screenshots'), sitemapUrl);
+}
+
+// Checkpoint of an unfinished scan: data-v2/crawl-queue-<hash>.json and .jsonl. Hashed
+// in full, since sitemaps of one host share the start of their URL
+function getCrawlQueuePath(sitemapUrl) {
+  const hash = crypto.createHash('sha1').update(sitemapUrl).digest('hex');
+  return path.join(__dirname, 'data-v2', `crawl-queue-${hash}`);
+}
+
+// Per-sitemap data of the newer features: data-v2/<kind>-<hash>.json, hashed in full
+// like the checkpoints so sites whose hostnames start alike don't share a file
+function getSitemapDataPath(kind, sitemapUrl) {
+  const hash = crypto.createHash('sha1').update(sitemapUrl).digest('hex');
+  return path.join(__dirname, 'data-v2', `${kind}-${hash}.json`);
+}
+
+// Every stored checkpoint, most recently updated first
+async function loadCrawlQueues() {
+  const dataDir = path.join(__dirname, 'data-v2');
+  let files;
+  try {
+    files = await fs.readdir(dataDir);
+  } catch {
+    return [];
+  }
+
+  const queues = await Promise.all(files
+    .filter(file => file.startsWith('crawl-queue-') && file.endsWith('.json'))
+    .map(file => CrawlQueue.load(path.join(dataDir, file.replace(/\.json$/, ''))).catch(() => null)));
+
+  return queues
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.getSummary().updatedAt) - new Date(a.getSummary().updatedAt));
+}
+
+// Saved sitemap as sent to the browser: auth secrets are replaced by placeholders
+function toPublicSitemap(savedSitemap) {
+  if (!savedSitemap?.auth) return savedSitemap;
+  return { ...savedSitemap, auth: SiteAuth.redact(savedSitemap.auth) };
+}
+
+// Apply per-sitemap settings, creating the saved sitemap entry if there isn't one yet
+async function updateSavedSitemap(sitemapUrl, changes) {
+  const sitemaps = await loadSavedSitemaps();
+  let savedSitemap = sitemaps.find(sitemap => sitemap.url === sitemapUrl);
+
+  if (savedSitemap) {
+    Object.assign(savedSitemap, changes, { updatedAt: new Date().toISOString() });
+  } else {
+    let name = sitemapUrl;
+    try {
+      name = new URL(sitemapUrl).hostname || sitemapUrl;
+    } catch (error) {
+      // Keep the raw value as the name
+    }
+
+    savedSitemap = {
+      id: Date.now().toString(),
+      name,
+      url: sitemapUrl,
+      ...changes,
+      createdAt: new Date().toISOString()
+    };
+    sitemaps.push(savedSitemap);
+  }
+
+  const success = await saveSitemapsToFile(sitemaps);
+  return success ? savedSitemap : null;
+}
+
 // Load URL reviews on startup
 async function loadUrlReviews() {
   try {
@@ -175,6 +290,151 @@ async function loadChangeHistory(sitemapUrl) {
   }
 }
 
+async function loadArchivedResults(sitemapUrl) {
+  // Archives saved before the full hash was used are named after the first 15 bytes of the URL
+  const legacyHash = Buffer.from(sitemapUrl).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+  const legacyPath = path.join(__dirname, 'data-v2', `archived-${legacyHash}.json`);
+
+  for (const filePath of [getSitemapDataPath('archived', sitemapUrl), legacyPath]) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // Not stored under this name
+    }
+  }
+  return [];
+}
+
+async function saveArchivedResults(sitemapUrl, archived) {
+  try {
+    const dataDir = path.join(__dirname, 'data-v2');
+    try {
+      await fs.access(dataDir);
+    } catch {
+      await fs.mkdir(dataDir, { recursive: true });
+    }
+
+    await fs.writeFile(getSitemapDataPath('archived', sitemapUrl), JSON.stringify(archived, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving archived results:', error);
+    return false;
+  }
+}
+
+async function saveDiscovery(sitemapUrl, discovery) {
+  try {
+    const dataDir = path.join(__dirname, 'data-v2');
+    try {
+      await fs.access(dataDir);
+    } catch {
+      await fs.mkdir(dataDir, { recursive: true });
+    }
+
+    await fs.writeFile(getSitemapDataPath('discovery', sitemapUrl), JSON.stringify(discovery, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving discovery results:', error);
+    return false;
+  }
+}
+
+async function loadDiscovery(sitemapUrl) {
+  try {
+    const data = await fs.readFile(getSitemapDataPath('discovery', sitemapUrl), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadHttpCache(sitemapUrl) {
+  try {
+    const data = await fs.readFile(getSitemapDataPath('http-cache', sitemapUrl), 'utf8');
+    return new HttpCache(JSON.parse(data));
+  } catch (error) {
+    return new HttpCache();
+  }
+}
+
+async function saveHttpCache(sitemapUrl, httpCache) {
+  try {
+    const dataDir = path.join(__dirname, 'data-v2');
+    try {
+      await fs.access(dataDir);
+    } catch {
+      await fs.mkdir(dataDir, { recursive: true });
+    }
+
+    await fs.writeFile(getSitemapDataPath('http-cache', sitemapUrl), JSON.stringify(httpCache, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving HTTP cache:', error);
+    return false;
+  }
+}
+
+async function saveSitemapHealth(sitemapUrl, report) {
+  try {
+    const dataDir = path.join(__dirname, 'data-v2');
+    try {
+      await fs.access(dataDir);
+    } catch {
+      await fs.mkdir(dataDir, { recursive: true });
+    }
+
+    await fs.writeFile(getSitemapDataPath('sitemap-health', sitemapUrl), JSON.stringify({ ...report, sitemapUrl }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving sitemap health report:', error);
+    return false;
+  }
+}
+
+async function loadSitemapHealth(sitemapUrl) {
+  try {
+    const data = await fs.readFile(getSitemapDataPath('sitemap-health', sitemapUrl), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function saveSource(sourceKey, content) {
+  const dataDir = path.join(__dirname, 'data-v2');
+  try {
+    await fs.access(dataDir);
+  } catch {
+    await fs.mkdir(dataDir, { recursive: true });
+  }
+
+  await fs.writeFile(getSourcePath(sourceKey), content);
+}
+
+// Used as SitemapParser's readSource, so uploaded and pasted lists can be rescanned later
+async function loadSource(sourceKey) {
+  // Sources saved before the full hash was used are named after the first 15 bytes of the key
+  const legacyHash = Buffer.from(sourceKey).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+  const legacyPath = path.join(__dirname, 'data-v2', `source-${legacyHash}.dat`);
+
+  try {
+    return await fs.readFile(getSourcePath(sourceKey));
+  } catch (error) {
+    try {
+      return await fs.readFile(legacyPath);
+    } catch {
+      throw new Error(`${sourceKey} is no longer stored - upload or paste it again`);
+    }
+  }
+}
+
+// Keys share long prefixes (upload:products-2024.csv, upload:products-2025.csv), so the whole key is hashed
+function getSourcePath(sourceKey) {
+  const hash = crypto.createHash('sha1').update(sourceKey).digest('hex');
+  return path.join(__dirname, 'data-v2', `source-${hash}.dat`);
+}
+
 function generateQuickSummary(results) {
   const total = results.length;
   const withMetaDescription = results.filter(r => r.hasMetaDescription).length;
@@ -194,7 +454,88 @@ function generateQuickSummary(results) {
     good: statusCounts.good || 0,
     warning: statusCounts.warning || 0,
     error: statusCounts.error || 0,
-    errors: statusCounts.error || 0
+    errors: statusCounts.error || 0,
+    blocked: statusCounts.blocked || 0,
+    performanceByTemplate: PerformanceMeter.summarizeByTemplate(results)
+  };
+}
+
+// Sitemap entry fields we keep on every stored result
+function getSitemapMeta(entry) {
+  return {
+    lastmod: entry.lastmod || null,
+    priority: entry.priority ?? null,
+    changefreq: entry.changefreq || null,
+    sourceSitemap: entry.sourceSitemap || null,
+    alternates: entry.alternates || [],
+    images: entry.images || [],
+    videos: entry.videos || []
+  };
+}
+
+// A URL needs re-crawling if it's new, or its sitemap lastmod is newer than our last crawl
+function isModifiedSinceCrawl(sitemapEntry, existingResult) {
+  if (!existingResult || !existingResult.lastCrawled) {
+    return true;
+  }
+
+  if (!sitemapEntry || !sitemapEntry.lastmod) {
+    return false;
+  }
+
+  const lastmod = new Date(sitemapEntry.lastmod);
+  if (isNaN(lastmod.getTime())) {
+    return false;
+  }
+
+  return lastmod > new Date(existingResult.lastCrawled);
+}
+
+/**
+ * Flag stored results whose URL is no longer listed in the sitemap, and clear
+ * the flag on URLs that came back. Mutates the results.
+ * @returns {Object} { changes: removed_url change events, updated: number of results touched }
+ */
+function markRemovedUrls(results, sitemapUrls, timestamp) {
+  const changes = [];
+  let updated = 0;
+
+  results.forEach(result => {
+    const inSitemap = sitemapUrls.has(result.url);
+
+    if (!inSitemap && !result.removedFromSitemap) {
+      result.removedFromSitemap = true;
+      result.removedAt = timestamp;
+      updated++;
+      changes.push({
+        url: result.url,
+        changeType: 'removed_url',
+        oldValue: result.metaDescription,
+        lastKnownStatus: result.status,
+        timestamp
+      });
+    } else if (inSitemap && result.removedFromSitemap) {
+      delete result.removedFromSitemap;
+      delete result.removedAt;
+      updated++;
+    }
+  });
+
+  return { changes, updated };
+}
+
+// Crawl speed, retry and robots.txt settings shared by full, selective and discovery crawls.
+// Older clients send delay (ms between requests) instead of requestsPerSecond.
+function getCrawlerOptions(options = {}) {
+  const delay = parseInt(options.delay);
+
+  return {
+    timeout: parseInt(options.timeout) || 10000,
+    concurrency: parseInt(options.concurrency) || 4,
+    perHostConcurrency: parseInt(options.perHostConcurrency) || 2,
+    requestsPerSecond: parseFloat(options.requestsPerSecond) || (delay > 0 ? 1000 / delay : 2),
+    ignoreRobots: options.ignoreRobots === true || options.ignoreRobots === 'true',
+    maxRetries: isNaN(parseInt(options.maxRetries)) ? 2 : parseInt(options.maxRetries)
   };
 }
 
@@ -299,19 +640,104 @@ app.post('/api/analyze', async (req, res) => {
   if (activeAnalysis) {
     return res.status(429).json({ error: 'Analysis already in progress' });
   }
+  activeAnalysis = STARTING_ANALYSIS;
 
-  const analysisId = Date.now().toString();
-  activeAnalysis = analysisId;
+  // A new scan would replace the checkpoint, losing the pages crawled so far
+  try {
+    const checkpoint = await CrawlQueue.load(getCrawlQueuePath(sitemapUrl));
+    if (checkpoint) {
+      activeAnalysis = null;
+      return res.status(409).json({
+        error: `An unfinished scan of this sitemap (${checkpoint.doneCount} of ${checkpoint.urls.length} pages) exists - resume or discard it first`,
+        checkpoint: checkpoint.getSummary()
+      });
+    }
+  } catch (error) {
+    console.error('Error reading scan checkpoint:', error);
+    activeAnalysis = null;
+    return res.status(500).json({ error: 'Failed to read scan checkpoint' });
+  }
 
+  const analysisId = startAnalysis(sitemapUrl, options);
   res.json({ analysisId, status: 'started' });
+});
+
+/**
+ * Run a sitemap scan in the background. Pages are analyzed as they come in
+ * and checkpointed to a CrawlQueue, so the scan can be paused, resumed after
+ * a restart, or cancelled.
+ * @param {CrawlQueue} checkpoint - Stored queue of a paused or interrupted scan to continue
+ * @returns {string} analysisId (the original one when resuming)
+ */
+function startAnalysis(sitemapUrl, options, checkpoint = null) {
+  const analysisId = checkpoint?.analysisId || Date.now().toString();
+  activeAnalysis = analysisId;
+  activeRun = { analysisId, sitemapUrl, crawler: null, stopRequested: null };
+
+  runAnalysis(activeRun, options, checkpoint);
+  return analysisId;
+}
+
+async function runAnalysis(run, options, checkpoint) {
+  const { analysisId, sitemapUrl } = run;
+  let queue = checkpoint;
 
   try {
     const emit = (event, data) => io.emit(event, { analysisId, ...data });
 
-    emit('progress', { step: 'parsing', message: 'Parsing sitemap...' });
+    emit('progress', { step: 'parsing', message: 'Looking for sitemaps...' });
+
+    // Credentials for protected (staging) sites, shared by the sitemap reader and the crawler
+    const auth = await loadSiteAuth(sitemapUrl);
+    const sitemapValidator = new SitemapValidator();
+    const sitemapParser = new SitemapParser({ validator: sitemapValidator, readSource: loadSource, auth });
+    const { sitemaps, source } = await sitemapParser.resolveSitemaps(sitemapUrl);
+
+    emit('progress', {
+      step: 'discovered',
+      message: source === 'direct' || source === 'upload'
+        ? 'Parsing sitemap...'
+        : `Found ${sitemaps.length} sitemap${sitemaps.length !== 1 ? 's' : ''} via ${source}. Parsing...`,
+      sitemaps,
+      source
+    });
+
+    // Entries stream in while child sitemaps are still downloading
+    const sitemapEntriesByUrl = new Map();
+    for await (const entry of sitemapParser.streamAllUrls(sitemaps)) {
+      if (sitemapEntriesByUrl.has(entry.url)) continue;
 
-    const sitemapParser = new SitemapParser();
-    let urls = await sitemapParser.getAllUrls(sitemapUrl);
+      sitemapEntriesByUrl.set(entry.url, entry);
+      if (sitemapEntriesByUrl.size % 1000 === 0) {
+        emit('progress', { step: 'parsing', message: `Read ${sitemapEntriesByUrl.size.toLocaleString()} URLs from sitemaps...` });
+      }
+    }
+    const sitemapEntries = Array.from(sitemapEntriesByUrl.values());
+    let urls = sitemapEntries.map(entry => entry.url);
+
+    // Sitemap problems are stored separately from page problems
+    const sitemapHealth = sitemapValidator.getReport();
+    await saveSitemapHealth(sitemapUrl, sitemapHealth);
+
+    emit('progress', {
+      step: 'validated',
+      message: sitemapHealth.valid
+        ? `Sitemap health: no protocol errors (${sitemapHealth.totals.warnings} warnings)`
+        : `Sitemap health: ${sitemapHealth.totals.errors} errors, ${sitemapHealth.totals.warnings} warnings`,
+      sitemapHealth: sitemapHealth.totals
+    });
+
+    // Include/exclude rules saved for this sitemap
+    const urlFilter = await loadUrlFilter(sitemapUrl);
+    if (urlFilter.hasRules) {
+      const beforeFilter = urls.length;
+      urls = urlFilter.apply(urls);
+
+      emit('progress', {
+        step: 'filtered',
+        message: `URL filters removed ${beforeFilter - urls.length} of ${beforeFilter} URLs`
+      });
+    }
 
     // Load existing data
     const reviews = await loadUrlReviews();
@@ -323,6 +749,15 @@ app.post('/api/analyze', async (req, res) => {
       delete result.changeType;
     });
 
+    // Compare against everything the sitemap lists, not just what the URL filters let through
+    const removal = markRemovedUrls(existingResults, new Set(sitemapEntriesByUrl.keys()), new Date().toISOString());
+    if (removal.changes.length > 0) {
+      emit('progress', {
+        step: 'removed',
+        message: `${removal.changes.length} previously scanned URL${removal.changes.length !== 1 ? 's are' : ' is'} no longer in the sitemap`
+      });
+    }
+
     const scanMode = options.scanMode || 'full';
 
     // Create a Set of URLs that already exist in our database
@@ -330,15 +765,37 @@ app.post('/api/analyze', async (req, res) => {
     const totalUrlsFound = urls.length;
 
     // Filter URLs based on scan mode
-    if (scanMode === 'incremental') {
-      const newUrls = urls.filter(url => !existingUrls.has(url));
+    // A resumed scan crawls the URLs it started with
+    if (!checkpoint && (scanMode === 'incremental' || scanMode === 'lastmod')) {
+      let newUrls;
+
+      if (scanMode === 'lastmod') {
+        // Re-crawl URLs whose sitemap lastmod is newer than our last crawl, plus any new URLs
+        const existingByUrl = new Map(existingResults.map(result => [result.url, result]));
+        newUrls = urls.filter(url => isModifiedSinceCrawl(sitemapEntriesByUrl.get(url), existingByUrl.get(url)));
+        const modifiedCount = newUrls.filter(url => existingUrls.has(url)).length;
+
+        emit('progress', {
+          step: 'filtered',
+          message: `Found ${totalUrlsFound} URLs in sitemap. ${modifiedCount} modified since last crawl, ${newUrls.length - modifiedCount} new URLs to scan.`
+        });
+      } else {
+        newUrls = urls.filter(url => !existingUrls.has(url));
 
-      emit('progress', {
-        step: 'filtered',
-        message: `Found ${totalUrlsFound} URLs in sitemap. ${existingUrls.size} already scanned, ${newUrls.length} new URLs to scan.`
-      });
+        emit('progress', {
+          step: 'filtered',
+          message: `Found ${totalUrlsFound} URLs in sitemap. ${existingUrls.size} already scanned, ${newUrls.length} new URLs to scan.`
+        });
+      }
 
       if (newUrls.length === 0) {
+        if (removal.updated > 0) {
+          await saveScanResults(sitemapUrl, existingResults);
+          if (removal.changes.length > 0) {
+            await saveChangeHistory(sitemapUrl, removal.changes);
+          }
+        }
+
         const mergedResults = existingResults.map(result => {
           const review = reviews[result.url];
           return {
@@ -354,6 +811,7 @@ app.post('/api/analyze', async (req, res) => {
           results: {
             results: mergedResults,
             sitemap: { url: sitemapUrl },
+            sitemapHealth,
             tree: buildUrlTree(mergedResults)
           },
           summary: generateQuickSummary(mergedResults)
@@ -364,9 +822,18 @@ app.post('/api/analyze', async (req, res) => {
       urls = newUrls;
     }
 
-    const maxPages = parseInt(options.maxPages) || 100;
-    if (urls.length > maxPages) {
-      urls = urls.slice(0, maxPages);
+    if (checkpoint) {
+      urls = checkpoint.urls;
+      emit('progress', {
+        step: 'resuming',
+        message: `Resuming scan: ${checkpoint.doneCount} of ${urls.length} pages already done`
+      });
+    } else {
+      const maxPages = parseInt(options.maxPages) || 100;
+      if (urls.length > maxPages) {
+        urls = urls.slice(0, maxPages);
+      }
+      queue = await CrawlQueue.create(getCrawlQueuePath(sitemapUrl), { analysisId, sitemapUrl, options, urls });
     }
 
     emit('progress', {
@@ -375,52 +842,98 @@ app.post('/api/analyze', async (req, res) => {
       total: urls.length
     });
 
+    // ETag/Last-Modified from the last scan. Only pages with a usable stored
+    // analysis may be answered with a 304, since that analysis gets reused.
+    // In audit mode an analysis without a raw/rendered (or mobile/desktop) comparison, performance metrics or screenshots can't be reused either.
+    const compareRendering = options.compareRendering === true || options.compareRendering === 'true';
+    const compareDevices = options.compareDevices === true || options.compareDevices === 'true';
+    const measurePerformance = options.measurePerformance === true || options.measurePerformance === 'true';
+    const captureScreenshots = options.captureScreenshots === true || options.captureScreenshots === 'true';
+    const httpCache = await loadHttpCache(sitemapUrl);
+    httpCache.retain(new Set(existingResults
+      .filter(result => result.status !== 'error' && result.status !== 'blocked')
+      .filter(result => !compareRendering || result.renderComparison)
+      .filter(result => !compareDevices || result.deviceComparison)
+      .filter(result => !measurePerformance || result.performance)
+      .filter(result => !captureScreenshots || result.screenshots)
+      .map(result => result.url)));
+
+    const platform = await loadPlatformAdapter(sitemapUrl);
     const crawler = new WebCrawler({
-      delay: parseInt(options.delay) || 1000,
-      timeout: parseInt(options.timeout) || 10000,
-      usePuppeteer: options.enableMboDetection === 'true' || options.enableMboDetection === true
+      ...getCrawlerOptions(options),
+      usePuppeteer: options.enableMboDetection === 'true' || options.enableMboDetection === true,
+      resourceBlocker: await loadResourceBlocker(sitemapUrl),
+      platform,
+      auth,
+      compareRendering,
+      compareDevices,
+      measurePerformance,
+      screenshotStore: captureScreenshots ? getScreenshotStore(sitemapUrl) : null,
+      httpCache
     });
 
-    const chunkSize = parseInt(options.chunkSize) || 10;
-    const chunks = [];
-    for (let i = 0; i < urls.length; i += chunkSize) {
-      chunks.push(urls.slice(i, i + chunkSize));
+    run.crawler = crawler;
+    // Paused or cancelled while the sitemaps were still being read
+    if (run.stopRequested) {
+      crawler.stop();
     }
 
-    let allResults = [];
-    let processedCount = 0;
+    // Each page is analyzed and checkpointed as soon as it's fetched
+    const metaExtractor = new MetaExtractor({ platform });
+    const previousResults = new Map(existingResults.map(result => [result.url, result]));
+    const alreadyDone = queue.doneCount;
 
-    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-      const chunk = chunks[chunkIndex];
-
-      emit('progress', {
-        step: 'crawling',
-        message: `Processing chunk ${chunkIndex + 1} of ${chunks.length}...`,
+    await crawler.crawlUrls(queue.remaining, (progress) => {
+      const current = alreadyDone + progress.current;
+      emit('crawl-progress', {
+        current,
         total: urls.length,
-        current: processedCount
+        percentage: Math.round((current / urls.length) * 100),
+        url: progress.url
       });
+    }, async (result) => {
+      await queue.record(result.url, metaExtractor.processPages([result], previousResults)[0]);
+    });
 
-      const chunkResults = await crawler.crawlUrls(chunk, (progress) => {
-        emit('crawl-progress', {
-          current: processedCount + progress.current,
-          total: urls.length,
-          percentage: Math.round(((processedCount + progress.current) / urls.length) * 100),
-          url: progress.url
-        });
-      });
+    if (run.stopRequested === 'cancel') {
+      await queue.remove();
+      emit('cancelled', { sitemapUrl, message: `Scan cancelled after ${queue.doneCount} of ${urls.length} pages` });
+      return;
+    }
 
-      allResults = allResults.concat(chunkResults);
-      processedCount += chunk.length;
+    if (run.stopRequested === 'pause') {
+      // Validators of the pages done so far, for conditional requests when the scan goes on
+      await saveHttpCache(sitemapUrl, httpCache);
+      await queue.setStatus('paused');
+      emit('paused', { sitemapUrl, done: queue.doneCount, total: urls.length });
+      return;
+    }
 
-      if (chunkIndex < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+    const analysisResults = queue.getResults();
+
+    const blockedCount = analysisResults.filter(result => result.blockedByRobots).length;
+    if (blockedCount > 0) {
+      emit('progress', {
+        step: 'robots',
+        message: crawler.ignoreRobots
+          ? `${blockedCount} URLs are disallowed by robots.txt (analyzed anyway)`
+          : `Skipped ${blockedCount} URLs disallowed by robots.txt`
+      });
     }
 
-    emit('progress', { step: 'analyzing', message: 'Analyzing meta descriptions...' });
+    await saveHttpCache(sitemapUrl, httpCache);
+
+    const contentChanges = { unchanged: 0, changed: 0, new: 0 };
+    analysisResults.forEach(result => {
+      if (result.contentChange) contentChanges[result.contentChange]++;
+    });
+    emit('progress', {
+      step: 'cache',
+      message: `${contentChanges.unchanged} pages unchanged, ${contentChanges.changed} changed, ${contentChanges.new} new`,
+      contentChanges
+    });
 
-    const metaExtractor = new MetaExtractor();
-    const analysisResults = metaExtractor.processPages(allResults);
+    emit('progress', { step: 'analyzing', message: 'Analyzing meta descriptions...' });
 
     const updatedReviews = { ...reviews };
 
@@ -438,8 +951,10 @@ app.post('/api/analyze', async (req, res) => {
 
     const newResults = analysisResults.map(result => {
       const review = updatedReviews[result.url];
+      const sitemapEntry = sitemapEntriesByUrl.get(result.url);
       return {
         ...result,
+        sitemapMeta: sitemapEntry ? getSitemapMeta(sitemapEntry) : null,
         reviewStatus: review?.status || 'new',
         assignee: review?.assignee || null,
         notes: review?.notes || null,
@@ -448,7 +963,10 @@ app.post('/api/analyze', async (req, res) => {
     });
 
     let finalResults = newResults;
-    if (scanMode === 'incremental' && existingResults.length > 0) {
+    if (scanMode === 'full') {
+      // A full scan replaces the results, but removed URLs stay until they are archived
+      finalResults = newResults.concat(existingResults.filter(result => result.removedFromSitemap));
+    } else if (existingResults.length > 0) {
       const existingWithReviews = existingResults.map(result => {
         const review = reviews[result.url];
         return {
@@ -483,9 +1001,10 @@ app.post('/api/analyze', async (req, res) => {
     const jsonReport = reporter.generateJsonReport();
 
     const crawlTimestamp = new Date().toISOString();
+    const crawledUrls = new Set(newResults.map(result => result.url));
 
     // Detect changes from previous scan
-    const changesDetected = [];
+    const changesDetected = [...removal.changes];
     const timestampedResults = finalResults.map(result => {
       const oldResult = existingResults.find(r => r.url === result.url);
       let hasChanged = false;
@@ -515,6 +1034,17 @@ app.post('/api/analyze', async (req, res) => {
             timestamp: crawlTimestamp
           });
         }
+        // New screenshots that differ from the last capture (values are capture set ids)
+        if (crawledUrls.has(result.url) && result.screenshots?.changed) {
+          hasChanged = true;
+          changesDetected.push({
+            url: result.url,
+            changeType: 'screenshot',
+            oldValue: result.screenshots.previousId,
+            newValue: result.screenshots.id,
+            timestamp: crawlTimestamp
+          });
+        }
       } else {
         // New URL detected
         hasChanged = true;
@@ -527,9 +1057,15 @@ app.post('/api/analyze', async (req, res) => {
         });
       }
 
+      const sitemapEntry = sitemapEntriesByUrl.get(result.url);
+
       return {
         ...result,
-        lastCrawled: crawlTimestamp,
+        // Pages not captured this time keep pointing at their last screenshots
+        screenshots: result.screenshots || oldResult?.screenshots || null,
+        sitemapMeta: sitemapEntry ? getSitemapMeta(sitemapEntry) : result.sitemapMeta || null,
+        // Only URLs fetched in this run get a new crawl time, otherwise lastmod comparisons break
+        lastCrawled: crawledUrls.has(result.url) ? crawlTimestamp : (result.lastCrawled || crawlTimestamp),
         hasChanged,
         changeType
       };
@@ -541,17 +1077,21 @@ app.post('/api/analyze', async (req, res) => {
     }
 
     await saveScanResults(sitemapUrl, timestampedResults);
+    await queue.remove();
 
     emit('complete', {
       results: {
         ...jsonReport,
         results: finalResults,
+        sitemapHealth,
         tree: buildUrlTree(finalResults)
       },
-      summary: reporter.generateSummary()
+      summary: { ...reporter.generateSummary(), contentChanges }
     });
 
   } catch (error) {
+    // What was crawled stays in the checkpoint; the scan can be resumed
+    await queue?.setStatus('paused').catch(() => {});
     io.emit('error', {
       analysisId,
       error: error.message,
@@ -559,6 +1099,97 @@ app.post('/api/analyze', async (req, res) => {
     });
   } finally {
     activeAnalysis = null;
+    activeRun = null;
+  }
+}
+
+app.post('/api/analyze/pause', (req, res) => {
+  const { analysisId } = req.body;
+
+  if (!analysisId) {
+    return res.status(400).json({ error: 'analysisId is required' });
+  }
+
+  // A stale tab mustn't pause a scan started since
+  if (activeRun?.analysisId !== analysisId) {
+    return res.status(404).json({ error: 'This scan is no longer running' });
+  }
+
+  // Pages in flight finish and are checkpointed; 'paused' is emitted after that
+  activeRun.stopRequested = 'pause';
+  activeRun.crawler?.stop();
+  res.json({ analysisId: activeRun.analysisId, status: 'pausing' });
+});
+
+app.post('/api/analyze/cancel', async (req, res) => {
+  const { analysisId } = req.body;
+
+  if (!analysisId) {
+    return res.status(400).json({ error: 'analysisId is required' });
+  }
+
+  if (activeRun?.analysisId === analysisId) {
+    activeRun.stopRequested = 'cancel';
+    activeRun.crawler?.stop();
+    return res.json({ analysisId, status: 'cancelling' });
+  }
+
+  // Not running: throw away the paused scan
+  try {
+    const queue = (await loadCrawlQueues()).find(queue => queue.analysisId === analysisId);
+    if (!queue) {
+      return res.status(404).json({ error: 'No scan to cancel' });
+    }
+
+    await queue.remove();
+    res.json({ analysisId: queue.analysisId, status: 'cancelled' });
+  } catch (error) {
+    console.error('Error cancelling scan:', error);
+    res.status(500).json({ error: 'Failed to cancel scan' });
+  }
+});
+
+app.post('/api/analyze/resume', async (req, res) => {
+  const { sitemapUrl } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  if (activeAnalysis) {
+    return res.status(429).json({ error: 'Analysis already in progress' });
+  }
+  activeAnalysis = STARTING_ANALYSIS;
+
+  try {
+    const queue = await CrawlQueue.load(getCrawlQueuePath(sitemapUrl));
+    if (!queue) {
+      activeAnalysis = null;
+      return res.status(404).json({ error: 'No paused scan for this sitemap' });
+    }
+
+    await queue.setStatus('running');
+    const analysisId = startAnalysis(queue.sitemapUrl, queue.options, queue);
+    res.json({ analysisId, status: 'resumed', done: queue.doneCount, total: queue.urls.length });
+  } catch (error) {
+    console.error('Error resuming scan:', error);
+    activeAnalysis = null;
+    res.status(500).json({ error: 'Failed to resume scan' });
+  }
+});
+
+// Paused or interrupted scans, so the UI can offer to resume them
+app.get('/api/analyze/checkpoints', async (req, res) => {
+  try {
+    const queues = await loadCrawlQueues();
+    res.json({
+      checkpoints: queues
+        .filter(queue => queue.analysisId !== activeRun?.analysisId)
+        .map(queue => queue.getSummary())
+    });
+  } catch (error) {
+    console.error('Error listing scan checkpoints:', error);
+    res.status(500).json({ error: 'Failed to list scan checkpoints' });
   }
 });
 
@@ -591,10 +1222,17 @@ app.post('/api/selective-scan', async (req, res) => {
       message: `Starting selective scan of ${urls.length} URLs...`
     });
 
+    const platform = await loadPlatformAdapter(sitemapUrl);
     const crawler = new WebCrawler({
-      delay: parseInt(options.delay) || 1000,
-      timeout: parseInt(options.timeout) || 10000,
-      usePuppeteer: options.enableMboDetection === 'true' || options.enableMboDetection === true
+      ...getCrawlerOptions(options),
+      usePuppeteer: options.enableMboDetection === 'true' || options.enableMboDetection === true,
+      resourceBlocker: await loadResourceBlocker(sitemapUrl),
+      platform,
+      auth: await loadSiteAuth(sitemapUrl),
+      compareRendering: options.compareRendering === true || options.compareRendering === 'true',
+      compareDevices: options.compareDevices === true || options.compareDevices === 'true',
+      measurePerformance: options.measurePerformance === true || options.measurePerformance === 'true',
+      screenshotStore: options.captureScreenshots === true || options.captureScreenshots === 'true' ? getScreenshotStore(sitemapUrl) : null
     });
 
     // Crawl the selected URLs
@@ -609,7 +1247,7 @@ app.post('/api/selective-scan', async (req, res) => {
 
     emit('progress', { step: 'analyzing', message: 'Analyzing meta descriptions...' });
 
-    const metaExtractor = new MetaExtractor();
+    const metaExtractor = new MetaExtractor({ platform });
     const analysisResults = metaExtractor.processPages(crawlResults);
 
     // Load existing scan results and reviews
@@ -644,6 +1282,7 @@ app.post('/api/selective-scan', async (req, res) => {
 
       return {
         ...result,
+        sitemapMeta: oldResult?.sitemapMeta || null,
         lastCrawled: crawlTimestamp,
         reviewStatus: review?.status || 'new',
         assignee: review?.assignee || null,
@@ -665,19 +1304,118 @@ app.post('/api/selective-scan', async (req, res) => {
       }
     });
 
-    // Save updated results
-    await saveScanResults(sitemapUrl, finalResults);
-
-    emit('complete', {
-      results: {
-        results: finalResults,
-        scanType: 'selective',
-        scannedUrls: urls.length,
-        tree: buildUrlTree(finalResults)
+    // Save updated results
+    await saveScanResults(sitemapUrl, finalResults);
+
+    emit('complete', {
+      results: {
+        results: finalResults,
+        scanType: 'selective',
+        scannedUrls: urls.length,
+        tree: buildUrlTree(finalResults)
+      },
+      summary: generateQuickSummary(finalResults)
+    });
+
+  } catch (error) {
+    io.emit('error', {
+      analysisId,
+      error: error.message,
+      details: error.stack
+    });
+  } finally {
+    activeAnalysis = null;
+  }
+});
+
+// Discovery crawl - follow internal links from the homepage and compare with the sitemap
+app.post('/api/discovery', async (req, res) => {
+  const { sitemapUrl, options = {} } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  if (activeAnalysis) {
+    return res.status(429).json({ error: 'Analysis already in progress' });
+  }
+
+  const analysisId = Date.now().toString();
+  activeAnalysis = analysisId;
+
+  res.json({ analysisId, status: 'started' });
+
+  try {
+    const emit = (event, data) => io.emit(event, { analysisId, ...data });
+
+    emit('progress', { step: 'parsing', message: 'Reading sitemap...' });
+
+    const auth = await loadSiteAuth(sitemapUrl);
+    const sitemapParser = new SitemapParser({ readSource: loadSource, auth });
+    const { sitemaps } = await sitemapParser.resolveSitemaps(sitemapUrl);
+    const sitemapEntries = await sitemapParser.getAllUrls(sitemaps);
+
+    // Same include/exclude rules as a scan, for both the sitemap and the links we follow
+    const urlFilter = await loadUrlFilter(sitemapUrl);
+    const sitemapUrls = urlFilter.apply(sitemapEntries.map(entry => entry.url));
+
+    let startUrl = options.startUrl;
+    if (!startUrl) {
+      const firstUrl = sitemapUrls[0] || sitemaps[0];
+      startUrl = `${new URL(firstUrl).origin}/`;
+    }
+
+    const maxDepth = options.maxDepth !== undefined ? parseInt(options.maxDepth) : 2;
+    const maxPages = parseInt(options.maxPages) || 500;
+
+    emit('progress', {
+      step: 'discovering',
+      message: `Following links from ${startUrl} (depth ${maxDepth}, up to ${maxPages} pages)...`
+    });
+
+    // Plain HTTP is enough to read links and much faster than a browser
+    const crawler = new WebCrawler({
+      ...getCrawlerOptions(options),
+      usePuppeteer: false,
+      auth
+    });
+
+    const pages = await crawler.discoverLinks(startUrl, {
+      maxDepth,
+      maxPages,
+      isAllowed: (url) => urlFilter.isAllowed(url)
+    }, (progress) => {
+      emit('crawl-progress', {
+        current: progress.current,
+        total: progress.total,
+        percentage: Math.round((progress.current / progress.total) * 100),
+        url: progress.url
+      });
+    });
+
+    const buckets = crawler.reconcileWithSitemap(pages, sitemapUrls);
+
+    const discovery = {
+      sitemapUrl,
+      startUrl,
+      maxDepth,
+      maxPages,
+      discoveredAt: new Date().toISOString(),
+      totals: {
+        sitemap: sitemapUrls.length,
+        linked: pages.length,
+        crawled: pages.filter(page => page.crawled).length,
+        blocked: pages.filter(page => page.blockedByRobots).length,
+        sitemapOnly: buckets.sitemapOnly.length,
+        linkedOnly: buckets.linkedOnly.length,
+        both: buckets.both.length
       },
-      summary: generateQuickSummary(finalResults)
-    });
+      ...buckets
+    };
+
+    await saveDiscovery(sitemapUrl, discovery);
 
+    emit('discovery-complete', { discovery });
   } catch (error) {
     io.emit('error', {
       analysisId,
@@ -689,6 +1427,21 @@ app.post('/api/selective-scan', async (req, res) => {
   }
 });
 
+app.get('/api/discovery', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const discovery = await loadDiscovery(sitemapUrl);
+    res.json({ discovery });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load discovery results' });
+  }
+});
+
 // NEW V2 ENDPOINT: Detect duplicate meta descriptions
 app.post('/api/detect-duplicates', async (req, res) => {
   const { sitemapUrl } = req.body;
@@ -781,32 +1534,42 @@ app.get('/api/export/:format', (req, res) => {
 app.get('/api/status', (req, res) => {
   res.json({
     active: !!activeAnalysis,
-    analysisId: activeAnalysis
+    analysisId: activeAnalysis === STARTING_ANALYSIS ? null : activeAnalysis,
+    // Set for sitemap scans, which can be paused and cancelled
+    scan: activeRun ? { sitemapUrl: activeRun.sitemapUrl, stopRequested: activeRun.stopRequested } : null
   });
 });
 
 app.get('/api/sitemaps', async (req, res) => {
   try {
     const sitemaps = await loadSavedSitemaps();
-    res.json(sitemaps);
+    res.json(sitemaps.map(toPublicSitemap));
   } catch (error) {
     res.status(500).json({ error: 'Failed to load sitemaps' });
   }
 });
 
 app.post('/api/sitemaps', async (req, res) => {
-  const { name, url } = req.body;
+  const { name, url, filters = [] } = req.body;
 
   if (!name || !url) {
     return res.status(400).json({ error: 'Name and URL are required' });
   }
 
+  let normalizedFilters;
+  try {
+    normalizedFilters = UrlFilter.normalizeRules(filters);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
     const sitemaps = await loadSavedSitemaps();
     const newSitemap = {
       id: Date.now().toString(),
       name: name.trim(),
       url: url.trim(),
+      filters: normalizedFilters,
       createdAt: new Date().toISOString()
     };
 
@@ -823,6 +1586,202 @@ app.post('/api/sitemaps', async (req, res) => {
   }
 });
 
+app.get('/api/sitemaps/filters', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const savedSitemap = await findSavedSitemap(sitemapUrl);
+    res.json({ sitemap: toPublicSitemap(savedSitemap), filters: savedSitemap?.filters || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load filters' });
+  }
+});
+
+// Save include/exclude rules, creating the saved sitemap entry if there isn't one yet
+app.put('/api/sitemaps/filters', async (req, res) => {
+  const { sitemapUrl, filters = [] } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  let normalizedFilters;
+  try {
+    normalizedFilters = UrlFilter.normalizeRules(filters);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const savedSitemap = await updateSavedSitemap(sitemapUrl, { filters: normalizedFilters });
+
+    if (savedSitemap) {
+      res.json(toPublicSitemap(savedSitemap));
+    } else {
+      res.status(500).json({ error: 'Failed to save filters' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save filters' });
+  }
+});
+
+app.get('/api/sitemaps/rendering', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const resourceBlocker = await loadResourceBlocker(sitemapUrl);
+    res.json({ rendering: resourceBlocker.rules, defaults: ResourceBlocker.getDefaultRules() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load rendering rules' });
+  }
+});
+
+// Save which resources rendered crawls of this sitemap block
+app.put('/api/sitemaps/rendering', async (req, res) => {
+  const { sitemapUrl, rendering = {} } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const savedSitemap = await updateSavedSitemap(sitemapUrl, {
+      rendering: ResourceBlocker.normalizeRules(rendering)
+    });
+
+    if (savedSitemap) {
+      res.json(toPublicSitemap(savedSitemap));
+    } else {
+      res.status(500).json({ error: 'Failed to save rendering rules' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save rendering rules' });
+  }
+});
+
+app.get('/api/platforms', (req, res) => {
+  res.json({ platforms: listPlatforms() });
+});
+
+app.get('/api/sitemaps/platform', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const platform = await loadPlatformAdapter(sitemapUrl);
+    res.json({ platform: platform.describe() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load platform' });
+  }
+});
+
+// Choose the shop platform adapter (and its settings) for a sitemap
+app.put('/api/sitemaps/platform', async (req, res) => {
+  const { sitemapUrl, platform = {} } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  let normalizedPlatform;
+  try {
+    normalizedPlatform = normalizePlatformConfig(platform);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const savedSitemap = await updateSavedSitemap(sitemapUrl, { platform: normalizedPlatform });
+
+    if (savedSitemap) {
+      res.json({ ...toPublicSitemap(savedSitemap), platform: createPlatformAdapter(normalizedPlatform).describe() });
+    } else {
+      res.status(500).json({ error: 'Failed to save platform' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save platform' });
+  }
+});
+
+app.get('/api/sitemaps/auth', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const savedSitemap = await findSavedSitemap(sitemapUrl);
+    res.json({
+      auth: SiteAuth.redact(savedSitemap?.auth || {}),
+      defaultHosts: SiteAuth.getHosts(sitemapUrl)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load auth settings' });
+  }
+});
+
+// Save credentials for a protected (staging) site. Secrets come back from the
+// UI as placeholders when unchanged, so they're merged with the stored ones.
+app.put('/api/sitemaps/auth', async (req, res) => {
+  const { sitemapUrl, auth = {} } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const previous = (await findSavedSitemap(sitemapUrl))?.auth || {};
+    const savedSitemap = await updateSavedSitemap(sitemapUrl, { auth: SiteAuth.normalize(auth, previous) });
+
+    if (savedSitemap) {
+      res.json(toPublicSitemap(savedSitemap));
+    } else {
+      res.status(500).json({ error: 'Failed to save auth settings' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save auth settings' });
+  }
+});
+
+// Show how many URLs each rule would remove, without saving anything
+app.post('/api/sitemaps/filters/preview', async (req, res) => {
+  const { sitemapUrl, filters = [] } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  let urlFilter;
+  try {
+    urlFilter = new UrlFilter(filters);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const sitemapParser = new SitemapParser({ readSource: loadSource, auth: await loadSiteAuth(sitemapUrl) });
+    const { sitemaps } = await sitemapParser.resolveSitemaps(sitemapUrl);
+    const sitemapEntries = await sitemapParser.getAllUrls(sitemaps);
+
+    res.json(urlFilter.preview(sitemapEntries.map(entry => entry.url)));
+  } catch (error) {
+    console.error('Error previewing filters:', error);
+    res.status(500).json({ error: 'Failed to preview filters' });
+  }
+});
+
 app.delete('/api/sitemaps/:id', async (req, res) => {
   const { id } = req.params;
 
@@ -876,6 +1835,46 @@ app.get('/api/change-history', async (req, res) => {
   }
 });
 
+// Capture sets of one URL, newest first
+app.get('/api/screenshots', async (req, res) => {
+  const { sitemapUrl, url } = req.query;
+
+  if (!sitemapUrl || !url) {
+    return res.status(400).json({ error: 'Sitemap URL and URL are required' });
+  }
+
+  try {
+    const screenshotStore = getScreenshotStore(sitemapUrl);
+    const sets = await screenshotStore.list(url);
+    res.json({ sets: sets.map(set => screenshotStore.toPublicSet(set)) });
+  } catch (error) {
+    console.error('Error loading screenshots:', error);
+    res.status(500).json({ error: 'Failed to load screenshots' });
+  }
+});
+
+app.get('/api/screenshots/image', async (req, res) => {
+  const { sitemapUrl, url, file } = req.query;
+
+  if (!sitemapUrl || !url || !file) {
+    return res.status(400).json({ error: 'Sitemap URL, URL and file are required' });
+  }
+
+  try {
+    const imagePath = await getScreenshotStore(sitemapUrl).getImagePath(url, file);
+    if (!imagePath) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    // Images never change once written
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.sendFile(imagePath);
+  } catch (error) {
+    console.error('Error loading screenshot:', error);
+    res.status(500).json({ error: 'Failed to load screenshot' });
+  }
+});
+
 app.get('/api/saved-scans', async (req, res) => {
   try {
     const dataDir = path.join(__dirname, 'data-v2');
@@ -912,7 +1911,8 @@ app.get('/api/saved-scans', async (req, res) => {
           lastScanned: stats.mtime,
           goodCount: results.filter(r => r.status === 'good').length,
           warningCount: results.filter(r => r.status === 'warning').length,
-          errorCount: results.filter(r => r.status === 'error').length
+          errorCount: results.filter(r => r.status === 'error').length,
+          removedCount: results.filter(r => r.removedFromSitemap).length
         };
       } catch (error) {
         console.error(`Error reading scan file ${file}:`, error);
@@ -943,12 +1943,13 @@ app.get('/api/scan-results', async (req, res) => {
     const results = await loadScanResults(sitemapUrl);
     const reviews = await loadUrlReviews();
     const changeHistory = await loadChangeHistory(sitemapUrl);
+    const sitemapHealth = await loadSitemapHealth(sitemapUrl);
 
     // Build a map of URLs that have actual MODIFICATION changes (not just "new_url")
     const urlsWithChanges = new Set();
     changeHistory.forEach(change => {
-      // Only mark as changed if it's a real modification, not a new URL
-      if (change.changeType !== 'new_url') {
+      // Only mark as changed if it's a real modification, not a new or removed URL
+      if (change.changeType !== 'new_url' && change.changeType !== 'removed_url') {
         urlsWithChanges.add(change.url);
       }
     });
@@ -970,6 +1971,8 @@ app.get('/api/scan-results', async (req, res) => {
 
     res.json({
       results: mergedResults,
+      sitemapHealth,
+      performanceByTemplate: PerformanceMeter.summarizeByTemplate(mergedResults),
       tree: buildUrlTree(mergedResults)
     });
   } catch (error) {
@@ -978,6 +1981,97 @@ app.get('/api/scan-results', async (req, res) => {
   }
 });
 
+// URLs that are in the stored results but no longer in the sitemap, plus what was archived
+app.get('/api/removed-urls', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const results = await loadScanResults(sitemapUrl);
+    const archived = await loadArchivedResults(sitemapUrl);
+
+    const removed = results
+      .filter(result => result.removedFromSitemap)
+      .map(result => ({
+        url: result.url,
+        title: result.title,
+        lastKnownStatus: result.status,
+        statusCode: result.statusCode,
+        removedAt: result.removedAt,
+        lastCrawled: result.lastCrawled || result.lastAnalyzed || null
+      }));
+
+    res.json({ removed, archived });
+  } catch (error) {
+    console.error('Error loading removed URLs:', error);
+    res.status(500).json({ error: 'Failed to load removed URLs' });
+  }
+});
+
+// Move removed URLs out of the active results into data-v2/archived-*.json
+app.post('/api/removed-urls/archive', async (req, res) => {
+  const { sitemapUrl, urls } = req.body;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const results = await loadScanResults(sitemapUrl);
+    const selected = Array.isArray(urls) ? new Set(urls) : null;
+
+    // Only URLs flagged as removed can be archived
+    const toArchive = results.filter(result =>
+      result.removedFromSitemap && (!selected || selected.has(result.url))
+    );
+
+    if (toArchive.length === 0) {
+      return res.json({ success: true, archived: 0, remaining: results.length });
+    }
+
+    const archivedUrls = new Set(toArchive.map(result => result.url));
+    const remaining = results.filter(result => !archivedUrls.has(result.url));
+    const archivedAt = new Date().toISOString();
+
+    const archived = await loadArchivedResults(sitemapUrl);
+    archived.push(...toArchive.map(result => ({ ...result, archivedAt })));
+
+    const archiveSaved = await saveArchivedResults(sitemapUrl, archived);
+    if (!archiveSaved) {
+      return res.status(500).json({ error: 'Failed to archive URLs' });
+    }
+    await saveScanResults(sitemapUrl, remaining);
+
+    res.json({ success: true, archived: toArchive.length, remaining: remaining.length });
+  } catch (error) {
+    console.error('Error archiving removed URLs:', error);
+    res.status(500).json({ error: 'Failed to archive URLs' });
+  }
+});
+
+app.get('/api/sitemap-health', async (req, res) => {
+  const { sitemapUrl } = req.query;
+
+  if (!sitemapUrl) {
+    return res.status(400).json({ error: 'Sitemap URL is required' });
+  }
+
+  try {
+    const report = await loadSitemapHealth(sitemapUrl);
+
+    if (!report) {
+      return res.status(404).json({ error: 'No sitemap health report found for this sitemap' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load sitemap health report' });
+  }
+});
+
 app.post('/api/scan-results/update', async (req, res) => {
   const { sitemapUrl, url, title, metaDescription } = req.body;
 
@@ -1032,6 +2126,35 @@ app.post('/api/scan-results/update', async (req, res) => {
   }
 });
 
+// Store an uploaded file (sitemap, .gz, RSS/Atom, TXT/CSV) or a pasted URL list.
+// The returned key is used in place of a sitemap URL by /api/analyze and the selective scan.
+app.post('/api/sources', async (req, res) => {
+  const { name, content, encoding = 'text', kind = 'upload' } = req.body;
+
+  if (!content) {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+
+  if (kind !== 'upload' && kind !== 'list') {
+    return res.status(400).json({ error: 'Kind must be upload or list' });
+  }
+
+  // Unnamed sources get a timestamp so one paste doesn't replace the last
+  const safeName = (name || '').trim().replace(/[^\w.-]+/g, '-') ||
+    `${kind === 'list' ? 'pasted-list' : 'upload'}-${Date.now().toString(36)}`;
+  const sourceKey = `${kind}:${safeName}`;
+
+  try {
+    const buffer = encoding === 'base64' ? Buffer.from(content, 'base64') : Buffer.from(content, 'utf8');
+    await saveSource(sourceKey, buffer);
+
+    res.json({ success: true, sitemapUrl: sourceKey, bytes: buffer.length });
+  } catch (error) {
+    console.error('Error saving source:', error);
+    res.status(500).json({ error: 'Failed to save source' });
+  }
+});
+
 app.post('/api/sitemap/all-urls', async (req, res) => {
   const { sitemapUrl } = req.body;
 
@@ -1040,10 +2163,16 @@ app.post('/api/sitemap/all-urls', async (req, res) => {
   }
 
   try {
-    const sitemapParser = new SitemapParser();
-    const allUrls = await sitemapParser.getAllUrls(sitemapUrl);
+    const sitemapParser = new SitemapParser({ readSource: loadSource, auth: await loadSiteAuth(sitemapUrl) });
+    const { sitemaps } = await sitemapParser.resolveSitemaps(sitemapUrl);
+    const allEntries = await sitemapParser.getAllUrls(sitemaps);
     const reviews = await loadUrlReviews();
 
+    // Apply the saved include/exclude rules, as /api/analyze does
+    const urlFilter = await loadUrlFilter(sitemapUrl);
+    const filterSummary = urlFilter.hasRules ? urlFilter.preview(allEntries.map(entry => entry.url)) : null;
+    const sitemapEntries = allEntries.filter(entry => urlFilter.isAllowed(entry.url));
+
     // Load scan results to determine which URLs have been scanned
     let scanResults = [];
     try {
@@ -1059,12 +2188,14 @@ app.post('/api/sitemap/all-urls', async (req, res) => {
     });
 
     // Map all URLs with their scan status
-    const urlsWithStatus = allUrls.map(url => {
+    const urlsWithStatus = sitemapEntries.map(entry => {
+      const url = entry.url;
       const scanResult = scanResultsMap[url];
       const review = reviews[url];
 
       return {
         url,
+        sitemapMeta: getSitemapMeta(entry),
         isScanned: !!scanResult,
         scanData: scanResult || null,
         reviewStatus: review?.status || 'new',
@@ -1082,6 +2213,9 @@ app.post('/api/sitemap/all-urls', async (req, res) => {
     res.json({
       urls: urlsWithStatus,
       total: urlsWithStatus.length,
+      sitemaps,
+      filters: urlFilter.rules,
+      filterSummary,
       scanned: scannedCount,
       unscanned: unscannedCount
     });
@@ -1155,16 +2289,33 @@ app.post('/api/reviews/bulk-update', async (req, res) => {
 });
 
 app.post('/api/rescan-url', async (req, res) => {
-  const { url, sitemapUrl } = req.body;
+  const {
+    url,
+    sitemapUrl,
+    compareRendering = false,
+    compareDevices = false,
+    measurePerformance = false,
+    captureScreenshots = false
+  } = req.body;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
   try {
-    const webCrawler = new WebCrawler({ usePuppeteer: true });
+    const platform = await loadPlatformAdapter(sitemapUrl);
+    const webCrawler = new WebCrawler({
+      usePuppeteer: true,
+      resourceBlocker: await loadResourceBlocker(sitemapUrl),
+      platform,
+      auth: await loadSiteAuth(sitemapUrl),
+      compareRendering: compareRendering === true,
+      compareDevices: compareDevices === true,
+      measurePerformance: measurePerformance === true,
+      screenshotStore: captureScreenshots === true && sitemapUrl ? getScreenshotStore(sitemapUrl) : null
+    });
 
-    const crawlResult = await webCrawler.fetchPageWithPuppeteer(url);
+    const crawlResult = await webCrawler.fetchPage(url);
 
     if (!crawlResult.success) {
       return res.status(400).json({
@@ -1173,10 +2324,16 @@ app.post('/api/rescan-url', async (req, res) => {
       });
     }
 
-    const metaExtractor = new MetaExtractor();
+    const metaExtractor = new MetaExtractor({ platform });
     const analysisResult = metaExtractor.extractMetaData(crawlResult.html, url);
 
     analysisResult.dataLayer = crawlResult.dataLayer || { objectId: null, hasDataLayer: false };
+    metaExtractor.addRedirectInfo(analysisResult, crawlResult);
+    metaExtractor.analyzeResponse(analysisResult, crawlResult);
+    metaExtractor.addRenderComparison(analysisResult, crawlResult);
+    metaExtractor.addDeviceComparison(analysisResult, crawlResult);
+    metaExtractor.addPerformanceInfo(analysisResult, crawlResult);
+    analysisResult.screenshots = crawlResult.screenshots || null;
 
     const reviews = await loadUrlReviews();
     const existingReview = reviews[url] || {};
@@ -1218,12 +2375,23 @@ app.post('/api/rescan-url', async (req, res) => {
               timestamp: new Date().toISOString()
             });
           }
+          if (analysisResult.screenshots?.changed) {
+            changes.push({
+              url: url,
+              changeType: 'screenshot',
+              oldValue: analysisResult.screenshots.previousId,
+              newValue: analysisResult.screenshots.id,
+              timestamp: new Date().toISOString()
+            });
+          }
+          analysisResult.screenshots = analysisResult.screenshots || oldResult.screenshots || null;
         }
 
         const updatedScanResults = existingScanResults.map(result => {
           if (result.url === url) {
             return {
               ...analysisResult,
+              sitemapMeta: result.sitemapMeta || null,
               reviewStatus: existingReview.status || 'new',
               assignee: existingReview.assignee || null,
               notes: existingReview.notes || null,
@@ -1297,7 +2465,7 @@ app.get('/api/ai/test', async (req, res) => {
 
 // Detect MBO session
 app.post('/api/detect-mbo', async (req, res) => {
-  const { baseUrl } = req.body;
+  const { baseUrl, sitemapUrl } = req.body;
 
   if (!baseUrl) {
     return res.status(400).json({ error: 'Base URL is required' });
@@ -1306,8 +2474,12 @@ app.post('/api/detect-mbo', async (req, res) => {
   try {
     console.log('🔍 Attempting to detect MBO session for:', baseUrl);
 
-    const webCrawler = new WebCrawler({ usePuppeteer: true });
-    const mboSession = await webCrawler.detectMboSession(baseUrl);
+    const webCrawler = new WebCrawler({
+      usePuppeteer: true,
+      platform: await loadPlatformAdapter(sitemapUrl),
+      auth: await loadSiteAuth(sitemapUrl)
+    });
+    const mboSession = await webCrawler.detectSession(baseUrl);
 
     console.log('MBO detection result:', mboSession);
 
@@ -1325,7 +2497,7 @@ app.post('/api/detect-mbo', async (req, res) => {
 
 // Build AI prompt (preview before sending)
 app.post('/api/ai/build-prompt', async (req, res) => {
-  const { url, title, currentMeta } = req.body;
+  const { url, title, currentMeta, sitemapUrl } = req.body;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
@@ -1337,7 +2509,8 @@ app.post('/api/ai/build-prompt', async (req, res) => {
     const result = await aiService.buildPromptWithContext({
       url,
       title: title || '',
-      currentMeta: currentMeta || ''
+      currentMeta: currentMeta || '',
+      platform: await loadPlatformAdapter(sitemapUrl)
     });
 
     res.json(result);
@@ -1386,7 +2559,7 @@ app.post('/api/ai/generate-meta', async (req, res) => {
 
 // Bulk generate AI meta descriptions
 app.post('/api/ai/bulk-generate', async (req, res) => {
-  const { pages, suggestionsPerPage } = req.body;
+  const { pages, suggestionsPerPage, sitemapUrl } = req.body;
 
   if (!pages || !Array.isArray(pages) || pages.length === 0) {
     return res.status(400).json({ error: 'Pages array is required' });
@@ -1395,7 +2568,8 @@ app.post('/api/ai/bulk-generate', async (req, res) => {
   try {
     const result = await aiService.generateBulkMetaDescriptions(
       pages,
-      suggestionsPerPage || 3
+      suggestionsPerPage || 3,
+      await loadPlatformAdapter(sitemapUrl)
     );
 
     res.json(result);
@@ -1448,6 +2622,33 @@ app.post('/api/ai/extract-keywords', async (req, res) => {
   }
 });
 
+// A scan that was running when the server went down (pm2 restart, crash) picks up where it stopped
+async function resumeInterruptedScan() {
+  if (activeAnalysis) return;
+  activeAnalysis = STARTING_ANALYSIS;
+
+  let interrupted;
+  try {
+    interrupted = (await loadCrawlQueues()).filter(queue => queue.status === 'running');
+    // One scan at a time; the others wait to be resumed from the UI
+    for (const queue of interrupted.slice(1)) {
+      await queue.setStatus('paused');
+    }
+  } catch (error) {
+    activeAnalysis = null;
+    throw error;
+  }
+
+  const [latest] = interrupted;
+  if (!latest) {
+    activeAnalysis = null;
+    return;
+  }
+
+  console.log(`\n⏯️  Resuming interrupted scan of ${latest.sitemapUrl} (${latest.doneCount}/${latest.urls.length} pages done)`);
+  startAnalysis(latest.sitemapUrl, latest.options, latest);
+}
+
 io.on('connection', (socket) => {
   socket.on('disconnect', () => {});
 });
@@ -1461,4 +2662,6 @@ server.listen(PORT, '0.0.0.0', () => {
   const aiProvider = process.env.AI_PROVIDER || 'claude';
   const aiEnabled = aiProvider === 'grok' ? process.env.GROK_API_KEY : process.env.ANTHROPIC_API_KEY;
   console.log(`\n🤖 AI Provider: ${aiProvider.toUpperCase()} ${aiEnabled ? '✅' : '❌'}`);
+
+  resumeInterruptedScan().catch(error => console.error('Error resuming interrupted scan:', error));
 });
\ No newline at end of file
@@ -2,6 +2,7 @@ import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
 import * as cheerio from 'cheerio';
 import dotenv from 'dotenv';
+import { createPlatformAdapter } from './platforms/index.js';
 
 dotenv.config();
 
@@ -51,17 +52,17 @@ export class AIService {
      * @returns {Promise<Object>} Prompt and page context
      */
     async buildPromptWithContext(pageData) {
-        const { url, title, currentMeta } = pageData;
+        const { url, title, currentMeta, platform } = pageData;
 
         // Fetch page content for context
         let pageContext = '';
         try {
             const { WebCrawler } = await import('./webCrawler.js');
-            const crawler = new WebCrawler({ usePuppeteer: true });
+            const crawler = new WebCrawler({ usePuppeteer: true, platform });
             const crawlResult = await crawler.fetchPageWithPuppeteer(url);
 
             if (crawlResult.success) {
-                pageContext = this.extractPageContext(crawlResult.html);
+                pageContext = this.extractPageContext(crawlResult.html, platform);
             }
         } catch (error) {
             console.log('Could not fetch page content:', error.message);
@@ -158,17 +159,17 @@ export class AIService {
      * @returns {Promise<Array>} Array of suggested meta descriptions
      */
     async generateMetaDescriptions(pageData, count = 5) {
-        const { url, title, currentMeta } = pageData;
+        const { url, title, currentMeta, platform } = pageData;
 
         // Fetch page content for context
         let pageContext = '';
         try {
             const { WebCrawler } = await import('./webCrawler.js');
-            const crawler = new WebCrawler({ usePuppeteer: true });
+            const crawler = new WebCrawler({ usePuppeteer: true, platform });
             const crawlResult = await crawler.fetchPageWithPuppeteer(url);
 
             if (crawlResult.success) {
-                pageContext = this.extractPageContext(crawlResult.html);
+                pageContext = this.extractPageContext(crawlResult.html, platform);
             }
         } catch (error) {
             console.log('Could not fetch page content, proceeding without it:', error.message);
@@ -184,9 +185,10 @@ export class AIService {
      * Generate meta descriptions in bulk for multiple URLs
      * @param {Array} pagesData - Array of page data objects
      * @param {number} suggestionsPerPage - Number of suggestions per page
+     * @param {PlatformAdapter} platform - Shop platform of the pages (optional)
      * @returns {Promise<Object>} Results with suggestions for each URL
      */
-    async generateBulkMetaDescriptions(pagesData, suggestionsPerPage = 3) {
+    async generateBulkMetaDescriptions(pagesData, suggestionsPerPage = 3, platform) {
         const results = {
             success: true,
             totalProcessed: 0,
@@ -196,7 +198,7 @@ export class AIService {
 
         for (const pageData of pagesData) {
             try {
-                const result = await this.generateMetaDescriptions(pageData, suggestionsPerPage);
+                const result = await this.generateMetaDescriptions({ ...pageData, platform }, suggestionsPerPage);
 
                 results.pages.push({
                     url: pageData.url,
@@ -226,8 +228,9 @@ export class AIService {
     /**
      * Extract concise page context from HTML (max ~500 chars to avoid token bloat)
      */
-    extractPageContext(html) {
+    extractPageContext(html, platform = createPlatformAdapter()) {
         const $ = cheerio.load(html);
+        const selectors = platform.getSelectors();
 
         // Remove scripts, styles, and navigation
         $('script, style, nav, header, footer').remove();
@@ -237,14 +240,16 @@ export class AIService {
         const h2s = $('h2').slice(0, 3).map((i, el) => $(el).text().trim()).get();
         const firstParagraph = $('p').first().text().trim().substring(0, 200);
 
-        // Extract product info based on page type
-        // Category pages: InfoArea h3 elements contain product names
-        const categoryProducts = $('.InfoArea h3')
+        // Extract product info based on page type, with the platform's selectors
+        // Category pages: product names in the listing
+        const categoryProducts = selectors.categoryProduct ? $(selectors.categoryProduct)
             .map((i, el) => $(el).text().trim()).get()
-            .filter(text => text.length > 3 && text.length < 100 && /[a-zA-Z]/.test(text));
+            .filter(text => text.length > 3 && text.length < 100 && /[a-zA-Z]/.test(text)) : [];
 
-        // Product detail pages: .description class contains product info
-        const productDescription = $('.description').first().text().trim().substring(0, 300);
+        // Product detail pages: the product description
+        const productDescription = selectors.productDescription
+            ? $(selectors.productDescription).first().text().trim().substring(0, 300)
+            : '';
 
         let products = [];
         if (categoryProducts.length > 0) {
@@ -0,0 +1,262 @@
+import puppeteer from 'puppeteer-core';
+import fs from 'fs';
+
+// Pages handed out at the same time; callers beyond this wait for a free page
+const DEFAULT_MAX_PAGES = 4;
+// Chrome is closed after this long without any page in use
+const DEFAULT_IDLE_TIMEOUT_MS = 60000;
+// Tabs slowly leak memory, so a warm page is replaced after this many uses
+const MAX_USES_PER_PAGE = 50;
+// Puppeteer's default, restored when a page is handed back
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+/**
+ * One Chrome instance shared by the crawler, rescans and the AI service.
+ * Launches on first use, keeps finished pages warm for the next caller,
+ * drops crashed tabs and shuts Chrome down when it has been idle for a while.
+ *
+ * Use withPage(fn) where possible; acquirePage/releasePage must be paired.
+ */
+export class BrowserService {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    this.browser = null;
+    this.launching = null;
+    this.idlePages = [];
+    this.activePages = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+    this.pageUses = new WeakMap();
+    this.crashedPages = new WeakSet();
+    this.isolatedContexts = new WeakMap();
+    this.defaultUserAgent = null;
+  }
+
+  findChromeExecutable() {
+    const possiblePaths = [
+      // macOS
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium',
+      '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+      // Windows
+      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
+      // Linux
+      '/usr/bin/google-chrome',
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium',
+      '/snap/bin/chromium'
+    ];
+
+    for (const path of possiblePaths) {
+      try {
+        if (fs.existsSync(path)) {
+          return path;
+        }
+      } catch (error) {
+        // Continue to next path
+      }
+    }
+
+    return null;
+  }
+
+  async getBrowser() {
+    if (this.browser?.connected) {
+      return this.browser;
+    }
+
+    // Concurrent callers share one launch
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launch() {
+    const executablePath = this.findChromeExecutable();
+
+    if (!executablePath) {
+      throw new Error(
+        'Chrome/Chromium not found. Please install Google Chrome or Chromium browser.\n' +
+        'Alternative: Install full puppeteer package with: npm install puppeteer'
+      );
+    }
+
+    console.log('🌐 Launching shared browser');
+    const browser = await puppeteer.launch({
+      executablePath,
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+      ]
+    });
+
+    // Chrome crashed or was closed: warm pages are gone, the next caller relaunches
+    browser.on('disconnected', () => {
+      if (this.browser === browser) {
+        this.browser = null;
+        this.idlePages = [];
+      }
+    });
+
+    // Restored on pages handed back, since crawls emulate other user agents
+    this.defaultUserAgent = await browser.userAgent();
+    this.browser = browser;
+    return browser;
+  }
+
+  /**
+   * Borrow a page, waiting while maxPages are in use
+   * @param {Object} options - { isolated: true } for a page in its own incognito
+   *   context, so cookies it gets (e.g. a login session) don't reach other pages
+   * @returns {Promise<Page>} A blank page; give it back with releasePage
+   */
+  async acquirePage(options = {}) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.activePages >= this.maxPages) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.activePages++;
+
+    try {
+      if (options.isolated) {
+        const browser = await this.getBrowser();
+        const context = await browser.createIncognitoBrowserContext();
+        const page = await context.newPage();
+        this.isolatedContexts.set(page, context);
+        return page;
+      }
+
+      while (this.idlePages.length > 0) {
+        const page = this.idlePages.pop();
+        if (!page.isClosed() && !this.crashedPages.has(page)) {
+          return page;
+        }
+      }
+
+      const browser = await this.getBrowser();
+      const page = await browser.newPage();
+      page.on('error', () => this.crashedPages.add(page));
+      return page;
+    } catch (error) {
+      this.finishPage();
+      throw error;
+    }
+  }
+
+  /**
+   * Give a page back. Healthy pages are reset and kept warm; crashed,
+   * worn-out or broken ones are closed, isolated ones along with their context.
+   * @param {Page} page - Page from acquirePage
+   * @param {Object} options - { broken: true } to throw the page away regardless
+   */
+  async releasePage(page, options = {}) {
+    try {
+      const uses = (this.pageUses.get(page) || 0) + 1;
+      this.pageUses.set(page, uses);
+
+      const context = this.isolatedContexts.get(page);
+      const keep = !context && !options.broken && !page.isClosed() && !this.crashedPages.has(page) &&
+        uses < MAX_USES_PER_PAGE && this.browser?.connected;
+
+      if (keep) {
+        try {
+          // Listeners from the last caller mustn't fire for the next one
+          for (const event of ['request', 'response', 'requestfailed', 'console', 'dialog']) {
+            page.removeAllListeners(event);
+          }
+          // Without its 'request' listener an intercepting page would stall every request
+          await page.setRequestInterception(false);
+          // Device emulation from the mobile/desktop parity audit
+          await page.setViewport(DEFAULT_VIEWPORT);
+          if (this.defaultUserAgent) {
+            await page.setUserAgent(this.defaultUserAgent);
+          }
+          await page.goto('about:blank', { timeout: 5000 });
+          this.idlePages.push(page);
+        } catch (error) {
+          await page.close().catch(() => {});
+        }
+      } else if (context) {
+        await context.close().catch(() => {});
+      } else if (!page.isClosed()) {
+        await page.close().catch(() => {});
+      }
+    } finally {
+      this.finishPage();
+    }
+  }
+
+  finishPage() {
+    this.activePages--;
+
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    if (this.activePages === 0 && this.browser && this.idleTimeoutMs > 0) {
+      this.idleTimer = setTimeout(() => this.close(), this.idleTimeoutMs);
+      // An idle browser shouldn't keep the process alive
+      this.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Run fn with a pooled page. A page whose fn threw is closed rather than reused.
+   * @param {Function} fn - async (page) => result
+   * @param {Object} options - As for acquirePage
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async withPage(fn, options = {}) {
+    const page = await this.acquirePage(options);
+    let broken = false;
+    try {
+      return await fn(page);
+    } catch (error) {
+      broken = true;
+      throw error;
+    } finally {
+      await this.releasePage(page, { broken });
+    }
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    const browser = this.browser;
+    this.browser = null;
+    this.idlePages = [];
+
+    if (browser) {
+      console.log('🌐 Closing idle shared browser');
+      await browser.close().catch(() => {});
+    }
+  }
+
+  getStats() {
+    return {
+      running: !!this.browser?.connected,
+      activePages: this.activePages,
+      idlePages: this.idlePages.length,
+      waiting: this.waiting.length,
+      maxPages: this.maxPages
+    };
+  }
+}
+
+// The instance everything shares
+export const browserService = new BrowserService();
@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * The URL list of a sitemap scan and the analysis of every page finished so
+ * far, on disk so a paused, failed or interrupted scan (e.g. a pm2 restart)
+ * continues where it stopped instead of starting over.
+ *
+ * <basePath>.json holds the scan:
+ * { analysisId, sitemapUrl, options, urls, status: 'running' | 'paused', startedAt, updatedAt }
+ * <basePath>.jsonl gets one { url, analysis } line per finished page. Appending
+ * keeps checkpoints cheap on big sitemaps; a line cut off by a crash is
+ * ignored and that page is crawled again.
+ */
+export class CrawlQueue {
+  /**
+   * @param {string} basePath - Path without extension, e.g. data-v2/crawl-queue-<hash>
+   * @param {Object} state - Contents of the .json file
+   * @param {Map} done - url => analysis for finished pages
+   */
+  constructor(basePath, state, done = new Map()) {
+    this.basePath = basePath;
+    this.state = state;
+    this.done = done;
+    // Writes go out one after another so lines and state never interleave
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * @param {string} basePath - See constructor
+   * @returns {Promise<CrawlQueue|null>} The stored queue, or null when there is none
+   */
+  static async load(basePath) {
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(`${basePath}.json`, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const done = new Map();
+    try {
+      const lines = (await fs.readFile(`${basePath}.jsonl`, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          const { url, analysis } = JSON.parse(line);
+          done.set(url, analysis);
+        } catch (error) {
+          // Partly written when the process died
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return new CrawlQueue(basePath, state, done);
+  }
+
+  /**
+   * Start a new queue, replacing any stored one
+   * @param {string} basePath - See constructor
+   * @param {Object} scan - { analysisId, sitemapUrl, options, urls }
+   * @returns {Promise<CrawlQueue>}
+   */
+  static async create(basePath, { analysisId, sitemapUrl, options, urls }) {
+    const now = new Date().toISOString();
+    const queue = new CrawlQueue(basePath, {
+      analysisId,
+      sitemapUrl,
+      options,
+      urls,
+      status: 'running',
+      startedAt: now,
+      updatedAt: now
+    });
+
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.writeFile(`${basePath}.jsonl`, '');
+    await queue.save();
+    return queue;
+  }
+
+  get analysisId() {
+    return this.state.analysisId;
+  }
+
+  get sitemapUrl() {
+    return this.state.sitemapUrl;
+  }
+
+  get options() {
+    return this.state.options;
+  }
+
+  get urls() {
+    return this.state.urls;
+  }
+
+  get status() {
+    return this.state.status;
+  }
+
+  get doneCount() {
+    return this.state.urls.filter(url => this.done.has(url)).length;
+  }
+
+  // URLs still to crawl, in sitemap order
+  get remaining() {
+    return this.state.urls.filter(url => !this.done.has(url));
+  }
+
+  /**
+   * @returns {Array} Analyses of the finished pages, in sitemap order
+   */
+  getResults() {
+    return this.state.urls.filter(url => this.done.has(url)).map(url => this.done.get(url));
+  }
+
+  /**
+   * Checkpoint one finished page
+   * @param {string} url - URL as listed in the queue
+   * @param {Object} analysis - MetaExtractor result for the page
+   */
+  async record(url, analysis) {
+    this.done.set(url, analysis);
+    await this.write(() => fs.appendFile(`${this.basePath}.jsonl`, JSON.stringify({ url, analysis }) + '\n'));
+  }
+
+  async setStatus(status) {
+    this.state.status = status;
+    await this.save();
+  }
+
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+    const state = JSON.stringify(this.state);
+    // Written next to the old file and renamed over it, so a crash never leaves half a state
+    await this.write(async () => {
+      await fs.writeFile(`${this.basePath}.json.tmp`, state);
+      await fs.rename(`${this.basePath}.json.tmp`, `${this.basePath}.json`);
+    });
+  }
+
+  async remove() {
+    await this.write(async () => {
+      for (const file of [`${this.basePath}.json`, `${this.basePath}.jsonl`]) {
+        await fs.unlink(file).catch(() => {});
+      }
+    });
+  }
+
+  write(fn) {
+    this.writing = this.writing.then(fn, fn);
+    return this.writing;
+  }
+
+  /**
+   * What the UI shows about a stored scan
+   * @returns {Object} { analysisId, sitemapUrl, status, done, total, startedAt, updatedAt }
+   */
+  getSummary() {
+    return {
+      analysisId: this.state.analysisId,
+      sitemapUrl: this.state.sitemapUrl,
+      status: this.state.status,
+      done: this.doneCount,
+      total: this.state.urls.length,
+      startedAt: this.state.startedAt,
+      updatedAt: this.state.updatedAt
+    };
+  }
+}
@@ -0,0 +1,184 @@
+// Slow-down limits for adaptive politeness
+const BASELINE_SAMPLES = 5;
+const SLOW_RESPONSE_FACTOR = 2;
+const BACKOFF_MULTIPLIER = 1.5;
+const RECOVERY_MULTIPLIER = 0.9;
+const MAX_INTERVAL_MS = 10000;
+
+/**
+ * Runs crawl tasks with a global concurrency limit plus per-host concurrency
+ * and rate limits. Each host gets a minimum interval between request starts
+ * (1000 / requestsPerSecond). When a host's response times climb well above
+ * its first few responses, or it answers 429/503, the interval is stretched;
+ * it shrinks back once responses are fast again.
+ */
+export class HostScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.perHostConcurrency = Math.max(1, options.perHostConcurrency || 2);
+    this.baseIntervalMs = options.requestsPerSecond > 0 ? 1000 / options.requestsPerSecond : 0;
+    this.adaptive = options.adaptive !== false;
+    this.hosts = new Map();
+    this.stopped = false;
+    this.pending = null;
+    this.wake = null;
+  }
+
+  getHost(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      hostname = '';
+    }
+
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, {
+        active: 0,
+        nextStart: 0,
+        // Floor for intervalMs; raised by a robots.txt Crawl-delay
+        minIntervalMs: this.baseIntervalMs,
+        intervalMs: this.baseIntervalMs,
+        samples: [],
+        baselineMs: null,
+        averageMs: null
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * Never start requests to this URL's host faster than every intervalMs,
+   * e.g. for a robots.txt Crawl-delay
+   */
+  setMinInterval(url, intervalMs) {
+    const host = this.getHost(url);
+    host.minIntervalMs = Math.max(this.baseIntervalMs, intervalMs);
+    host.intervalMs = Math.max(host.intervalMs, host.minIntervalMs);
+  }
+
+  /**
+   * Run a task for every URL. Tasks finish out of order; results keep the
+   * order of the input.
+   * @param {string[]} urls - URLs to process
+   * @param {Function} task - async (url, index) => result; a result with a status is used for slow-down
+   * @returns {Promise<Array>} Task results in input order
+   */
+  async runAll(urls, task) {
+    const results = new Array(urls.length);
+    if (this.stopped) return results;
+
+    const pending = urls.map((url, index) => ({ url, index }));
+    let running = 0;
+    this.pending = pending;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let failed = false;
+
+      const pump = () => {
+        if (failed) return;
+        clearTimeout(timer);
+        timer = null;
+
+        if (pending.length === 0 && running === 0) {
+          resolve(results);
+          return;
+        }
+
+        const now = Date.now();
+        let nextWake = Infinity;
+
+        // Start whatever the global, per-host and rate limits allow right now
+        for (let i = 0; i < pending.length && running < this.concurrency; i++) {
+          const host = this.getHost(pending[i].url);
+
+          if (host.active >= this.perHostConcurrency) continue;
+          if (host.nextStart > now) {
+            nextWake = Math.min(nextWake, host.nextStart);
+            continue;
+          }
+
+          const [job] = pending.splice(i, 1);
+          i--;
+          running++;
+          host.active++;
+          host.nextStart = now + host.intervalMs;
+
+          const startedAt = Date.now();
+          Promise.resolve()
+            .then(() => task(job.url, job.index))
+            .then(result => {
+              results[job.index] = result;
+              this.recordResponse(host, Date.now() - startedAt, result?.status);
+            })
+            .catch(error => {
+              failed = true;
+              clearTimeout(timer);
+              reject(error);
+            })
+            .finally(() => {
+              running--;
+              host.active--;
+              pump();
+            });
+        }
+
+        if (nextWake !== Infinity && running < this.concurrency) {
+          timer = setTimeout(pump, nextWake - now);
+        }
+      };
+
+      this.wake = pump;
+      pump();
+    });
+  }
+
+  /**
+   * Drop the tasks that haven't started. runAll resolves once the running
+   * ones finish; results of dropped tasks stay empty.
+   */
+  stop() {
+    this.stopped = true;
+    this.pending?.splice(0);
+    this.wake?.();
+  }
+
+  recordResponse(host, durationMs, status) {
+    if (!this.adaptive) return;
+
+    host.averageMs = host.averageMs === null ? durationMs : host.averageMs * 0.7 + durationMs * 0.3;
+
+    if (host.baselineMs === null) {
+      host.samples.push(durationMs);
+      if (host.samples.length >= BASELINE_SAMPLES) {
+        host.baselineMs = host.samples.reduce((sum, ms) => sum + ms, 0) / host.samples.length;
+      }
+    }
+
+    const overloaded = status === 429 || status === 503;
+    const slow = host.baselineMs !== null && host.averageMs > host.baselineMs * SLOW_RESPONSE_FACTOR;
+
+    if (overloaded || slow) {
+      // Back off from at least 250ms so hosts without a rate limit slow down too
+      const backedOff = Math.min(MAX_INTERVAL_MS, Math.max(host.intervalMs, 250) * BACKOFF_MULTIPLIER);
+      host.intervalMs = Math.max(host.minIntervalMs, backedOff);
+    } else if (host.intervalMs > host.minIntervalMs) {
+      host.intervalMs = Math.max(host.minIntervalMs, host.intervalMs * RECOVERY_MULTIPLIER);
+    }
+  }
+
+  /**
+   * Current per-host pacing, for logging and progress messages
+   */
+  getStats() {
+    return Array.from(this.hosts.entries()).map(([hostname, host]) => ({
+      hostname,
+      intervalMs: Math.round(host.intervalMs),
+      baselineMs: host.baselineMs !== null ? Math.round(host.baselineMs) : null,
+      averageMs: host.averageMs !== null ? Math.round(host.averageMs) : null,
+      crawlDelayMs: host.minIntervalMs > this.baseIntervalMs ? Math.round(host.minIntervalMs) : null,
+      slowedDown: host.intervalMs > host.minIntervalMs
+    }));
+  }
+}
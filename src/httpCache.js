@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+/**
+ * Validators (ETag / Last-Modified) and a content hash for every page of a
+ * sitemap, so rescans can send conditional requests and tell unchanged
+ * pages from changed ones.
+ *
+ * Entries are { etag, lastModified, contentHash, finalUrl, checkedAt }, keyed
+ * by the URL as listed in the sitemap. Loading and saving is up to the
+ * caller (see loadHttpCache in server.js).
+ */
+export class HttpCache {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  /**
+   * Forget URLs we can't reuse an analysis for; a 304 for them would leave
+   * us without any page content
+   * @param {Set<string>} urls - URLs that have a stored analysis
+   */
+  retain(urls) {
+    for (const url of this.entries.keys()) {
+      if (!urls.has(url)) {
+        this.entries.delete(url);
+      }
+    }
+  }
+
+  /**
+   * Request headers for a conditional GET
+   * @param {string} url - URL from the sitemap
+   * @param {string} requestUrl - URL actually requested (differs after a redirect)
+   * @returns {Object} If-None-Match / If-Modified-Since, or {} when there's nothing to validate against
+   */
+  getConditionalHeaders(url, requestUrl = url) {
+    const entry = this.entries.get(url);
+    // Validators belong to the page that sent them, not to the redirects in front of it
+    if (!entry || (entry.finalUrl || url) !== requestUrl) return {};
+
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  /**
+   * Whether a plain GET before rendering url is worth it: the page was seen
+   * before, so there are validators or a content hash to check, or (when it
+   * was only rendered) the GET gives it the raw HTML hash the next scan checks
+   */
+  canValidate(url) {
+    return this.entries.has(url);
+  }
+
+  hasContent(url, contentHash) {
+    return this.entries.get(url)?.contentHash === contentHash;
+  }
+
+  hash(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content ?? '');
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  /**
+   * Store what a fetch returned and classify it against the last fetch
+   * @param {string} url - URL from the sitemap
+   * @param {Object} result - WebCrawler fetch result
+   * @returns {string|null} 'unchanged' (304 or same content), 'changed', 'new', or null for failed fetches
+   */
+  record(url, result) {
+    const previous = this.entries.get(url);
+    const checkedAt = new Date().toISOString();
+
+    if (result.notModified && previous) {
+      // A 304 may carry fresher validators
+      this.entries.set(url, {
+        ...previous,
+        etag: result.headers?.etag || previous.etag,
+        lastModified: result.headers?.['last-modified'] || previous.lastModified,
+        checkedAt
+      });
+      return 'unchanged';
+    }
+
+    if (!result.success || !result.html) {
+      return null;
+    }
+
+    // null: rendered without a plain GET, so there's no raw HTML to hash yet
+    const contentHash = result.contentHash !== undefined ? result.contentHash : this.hash(result.html);
+    this.entries.set(url, {
+      etag: result.headers?.etag || null,
+      lastModified: result.headers?.['last-modified'] || null,
+      contentHash,
+      finalUrl: result.finalUrl || url,
+      checkedAt
+    });
+
+    if (!previous) return 'new';
+    // Without a hash from last time the page can't be shown to be unchanged
+    return previous.contentHash === contentHash ? 'unchanged' : 'changed';
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+}
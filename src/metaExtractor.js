@@ -1,6 +1,24 @@
 import * as cheerio from 'cheerio';
+import { createPlatformAdapter } from './platforms/index.js';
+import { PerformanceMeter } from './performanceMeter.js';
+
+// Google's "good" threshold for time to first byte
+const SLOW_TTFB_MS = 800;
+// Tiny responses aren't worth compressing
+const COMPRESSION_MIN_BYTES = 1024;
+// Link and word counts may drift this much between mobile and desktop before it's flagged
+const DEVICE_COUNT_TOLERANCE = 0.1;
+// Desktop-only text shorter than this (in words) is usually a menu label, not content
+const DESKTOP_ONLY_MIN_WORDS = 20;
 
 export class MetaExtractor {
+  /**
+   * @param {Object} options - { platform: PlatformAdapter whose selectors find cross-selling etc. }
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || createPlatformAdapter();
+  }
+
   extractMetaData(html, url) {
     if (!html) {
       console.log(`❌ [META EXTRACTOR] No HTML provided for ${url}`);
@@ -142,6 +160,9 @@ export class MetaExtractor {
   }
 
   analyzeTechnicalSeo($) {
+    const { crossSellingItem } = this.platform.getSelectors();
+    const crossSellingItems = crossSellingItem ? $(crossSellingItem) : $([]);
+
     return {
       // Mobile Responsiveness - Viewport meta tag
       hasViewport: !!$('meta[name="viewport"]').length,
@@ -226,10 +247,10 @@ export class MetaExtractor {
       isIndexable: !$('meta[name="robots"]').attr('content')?.toLowerCase().includes('noindex'),
       isFollowable: !$('meta[name="robots"]').attr('content')?.toLowerCase().includes('nofollow'),
 
-      // Cross-selling Detection - look for td elements within CrossellingCount table
-      hasCrossSelling: !!$('.CrossellingCount td').length,
-      crossSellingCount: $('.CrossellingCount td').length,
-      crossSellingProducts: $('.CrossellingCount td').map((i, el) => {
+      // Cross-selling Detection - items matched by the platform's selector
+      hasCrossSelling: !!crossSellingItems.length,
+      crossSellingCount: crossSellingItems.length,
+      crossSellingProducts: crossSellingItems.map((i, el) => {
         // Extract product name from the content
         const $el = $(el);
         // Try multiple strategies to extract product name
@@ -263,9 +284,327 @@ export class MetaExtractor {
     };
   }
 
-  processPages(crawlResults) {
+  /**
+   * Copy finalUrl/redirectChain onto the analysis and flag redirecting
+   * sitemap URLs - the sitemap should list the final URL
+   */
+  addRedirectInfo(metaData, result) {
+    const redirectChain = result.redirectChain || [];
+    metaData.finalUrl = result.finalUrl || result.url;
+    metaData.redirectChain = redirectChain;
+
+    if (redirectChain.length === 0) return;
+
+    metaData.issues.push(`Sitemap URL redirects (${redirectChain[0].status}) to ${metaData.finalUrl}`);
+    if (redirectChain.length > 1) {
+      metaData.issues.push(`Redirect chain longer than 1 (${redirectChain.length} hops: ${redirectChain.map(hop => hop.status).join(' → ')})`);
+    }
+    if (metaData.status === 'good') {
+      metaData.status = 'needs_attention';
+    }
+  }
+
+  /**
+   * Checks on the HTTP response itself: X-Robots-Tag, compression, caching
+   * headers and time to first byte. Also stores headers, timings and bytes.
+   */
+  analyzeResponse(metaData, result) {
+    const headers = result.headers;
+    metaData.headers = headers || null;
+    metaData.timings = result.timings || null;
+    metaData.bytes = result.bytes || null;
+
+    if (!headers) return;
+
+    const issues = [];
+
+    // A header-level noindex/nofollow counts just like the meta robots tag
+    const xRobotsTag = headers['x-robots-tag'];
+    if (xRobotsTag && metaData.technicalSeo) {
+      metaData.technicalSeo.xRobotsTag = xRobotsTag;
+      if (/\b(noindex|none)\b/i.test(xRobotsTag)) {
+        metaData.technicalSeo.isIndexable = false;
+        issues.push(`Page is noindex via X-Robots-Tag header (${xRobotsTag})`);
+      }
+      if (/\b(nofollow|none)\b/i.test(xRobotsTag)) {
+        metaData.technicalSeo.isFollowable = false;
+      }
+    }
+
+    const transferred = result.bytes?.transferred;
+    if (!headers['content-encoding'] && transferred > COMPRESSION_MIN_BYTES) {
+      issues.push(`Response is not compressed (${Math.round(transferred / 1024)} KB) - enable gzip or brotli`);
+    }
+
+    if (!headers['cache-control'] && !headers['expires'] && !headers['etag'] && !headers['last-modified']) {
+      issues.push('No caching headers (Cache-Control, Expires, ETag or Last-Modified)');
+    }
+
+    const ttfb = result.timings?.ttfb;
+    if (ttfb > SLOW_TTFB_MS) {
+      issues.push(`Slow server response (TTFB ${ttfb} ms, aim for under ${SLOW_TTFB_MS} ms)`);
+    }
+
+    if (issues.length > 0) {
+      metaData.issues.push(...issues);
+      if (metaData.status === 'good') {
+        metaData.status = 'needs_attention';
+      }
+    }
+  }
+
+  /**
+   * The SEO tags as one version of the page has them, normalized so
+   * whitespace, relative canonicals and JSON formatting don't count as
+   * differences
+   */
+  getRenderFields(metaData, url) {
+    const text = (value) => value ? value.replace(/\s+/g, ' ').trim() : null;
+    const technicalSeo = metaData.technicalSeo || {};
+
+    let canonical = technicalSeo.canonicalUrl || null;
+    if (canonical) {
+      try {
+        canonical = new URL(canonical, url).href;
+      } catch (error) {
+        // Compare the raw href
+      }
+    }
+
+    return {
+      title: text(metaData.title),
+      metaDescription: text(metaData.metaDescription),
+      canonical,
+      robots: text(technicalSeo.robotsContent)?.toLowerCase() || null,
+      jsonLd: (technicalSeo.jsonLdData || []).map(block => ({
+        type: block.type,
+        key: block.parsed ? JSON.stringify(block.parsed) : text(block.content)
+      }))
+    };
+  }
+
+  /**
+   * Compare the raw server HTML with the rendered DOM (audit mode, see
+   * WebCrawler compareRendering). Search engines may index the page before
+   * or without running JavaScript, so tags that only exist after rendering,
+   * or that rendering changes, are flagged.
+   */
+  addRenderComparison(metaData, result) {
+    if (!result.rawHtml) return;
+
+    const pageUrl = result.finalUrl || result.url;
+    const raw = this.getRenderFields(this.extractMetaData(result.rawHtml, result.url), pageUrl);
+    const rendered = this.getRenderFields(metaData, pageUrl);
+    const differences = [];
+
+    const labels = { title: 'Title', metaDescription: 'Meta description', canonical: 'Canonical', robots: 'Meta robots' };
+    for (const [field, label] of Object.entries(labels)) {
+      if (raw[field] === rendered[field]) continue;
+
+      const change = !raw[field] ? 'rendered_only' : !rendered[field] ? 'raw_only' : 'different';
+      differences.push({ field, label, change, raw: raw[field], rendered: rendered[field] });
+    }
+
+    const rawKeys = new Set(raw.jsonLd.map(block => block.key));
+    const renderedKeys = new Set(rendered.jsonLd.map(block => block.key));
+    rendered.jsonLd.filter(block => !rawKeys.has(block.key)).forEach(block => {
+      differences.push({ field: 'jsonLd', label: `JSON-LD ${block.type}`, change: 'rendered_only', raw: null, rendered: block.key });
+    });
+    raw.jsonLd.filter(block => !renderedKeys.has(block.key)).forEach(block => {
+      differences.push({ field: 'jsonLd', label: `JSON-LD ${block.type}`, change: 'raw_only', raw: block.key, rendered: null });
+    });
+
+    metaData.renderComparison = { differences };
+    if (differences.length === 0) return;
+
+    const wording = {
+      rendered_only: 'only present after JavaScript rendering',
+      raw_only: 'removed by JavaScript (only in raw HTML)',
+      different: 'differs between raw and rendered HTML'
+    };
+    metaData.issues.push(...differences.map(difference => `${difference.label} ${wording[difference.change]}`));
+    if (metaData.status === 'good') {
+      metaData.status = 'needs_attention';
+    }
+  }
+
+  /**
+   * What the parity audit compares for one device render
+   * @param {Object} metaData - extractMetaData output for html
+   * @param {string} html - Rendered HTML
+   * @param {string} visibleText - Body innerText at that device's viewport
+   * @param {string} url - Page URL, for resolving the canonical
+   */
+  getDeviceFields(metaData, html, visibleText, url) {
+    const $ = cheerio.load(html || '');
+    const text = (value) => value.replace(/\s+/g, ' ').trim();
+
+    const headings = $('h1, h2, h3, h4, h5, h6').map((i, el) => `${el.tagName.toLowerCase()}: ${text($(el).text())}`).get();
+    const lines = (visibleText || '').split('\n').map(text).filter(Boolean);
+
+    return {
+      ...this.getRenderFields(metaData, url),
+      headings,
+      linkCount: $('a[href]').length,
+      wordCount: lines.join(' ').split(' ').filter(Boolean).length,
+      lines
+    };
+  }
+
+  /**
+   * Compare the smartphone and desktop renders (parity audit, see WebCrawler
+   * compareDevices). Google indexes the mobile version, so tags that differ
+   * and content that only the desktop layout shows are flagged.
+   */
+  addDeviceComparison(metaData, result) {
+    if (!result.desktop) return;
+
+    if (result.desktop.error) {
+      metaData.deviceComparison = { error: result.desktop.error, differences: [], desktopOnlyText: [], desktopOnlyWords: 0 };
+      return;
+    }
+
+    const pageUrl = result.finalUrl || result.url;
+    const mobile = this.getDeviceFields(metaData, result.html, result.visibleText, pageUrl);
+    const desktop = this.getDeviceFields(this.extractMetaData(result.desktop.html, result.url), result.desktop.html, result.desktop.visibleText, pageUrl);
+    const differences = [];
+
+    const labels = { title: 'Title', metaDescription: 'Meta description', canonical: 'Canonical', robots: 'Meta robots' };
+    for (const [field, label] of Object.entries(labels)) {
+      if (mobile[field] !== desktop[field]) {
+        differences.push({ field, label, mobile: mobile[field], desktop: desktop[field] });
+      }
+    }
+
+    if (mobile.headings.join('\n') !== desktop.headings.join('\n')) {
+      // Only the headings one side lacks; the same headings in another order show as such
+      const mobileHeadings = new Set(mobile.headings);
+      const desktopHeadings = new Set(desktop.headings);
+      const mobileOnly = mobile.headings.filter(heading => !desktopHeadings.has(heading));
+      const desktopOnly = desktop.headings.filter(heading => !mobileHeadings.has(heading));
+      const reordered = mobileOnly.length === 0 && desktopOnly.length === 0;
+      differences.push({
+        field: 'headings',
+        label: 'Heading structure',
+        mobile: reordered ? 'Same headings, different order' : mobileOnly.join('\n') || null,
+        desktop: reordered ? 'Same headings, different order' : desktopOnly.join('\n') || null
+      });
+    }
+
+    const counts = { linkCount: 'Link count', wordCount: 'Visible word count' };
+    for (const [field, label] of Object.entries(counts)) {
+      const larger = Math.max(mobile[field], desktop[field]);
+      if (Math.abs(mobile[field] - desktop[field]) > larger * DEVICE_COUNT_TOLERANCE) {
+        differences.push({ field, label, mobile: mobile[field], desktop: desktop[field] });
+      }
+    }
+
+    // Text blocks the desktop layout shows and the mobile one hides or leaves out
+    const mobileText = mobile.lines.join('\n');
+    const desktopOnlyText = desktop.lines.filter(line => !mobileText.includes(line));
+    const desktopOnlyWords = desktopOnlyText.join(' ').split(' ').filter(Boolean).length;
+    if (desktopOnlyWords >= DESKTOP_ONLY_MIN_WORDS) {
+      differences.push({ field: 'desktopOnly', label: 'Desktop-only content', mobile: null, desktop: `${desktopOnlyWords} words` });
+    }
+
+    metaData.deviceComparison = {
+      mobile: { linkCount: mobile.linkCount, wordCount: mobile.wordCount, headingCount: mobile.headings.length },
+      desktop: { linkCount: desktop.linkCount, wordCount: desktop.wordCount, headingCount: desktop.headings.length },
+      differences,
+      desktopOnlyText: desktopOnlyText.slice(0, 10).map(line => line.length > 160 ? `${line.substring(0, 157)}...` : line),
+      desktopOnlyWords
+    };
+
+    if (differences.length === 0) return;
+
+    metaData.issues.push(...differences.map(difference => {
+      if (difference.field === 'desktopOnly') {
+        return `${desktopOnlyWords} words of content only visible on desktop (not seen by mobile-first indexing)`;
+      }
+      if (difference.field === 'linkCount' || difference.field === 'wordCount') {
+        return `${difference.label} differs between mobile (${difference.mobile}) and desktop (${difference.desktop})`;
+      }
+      return `${difference.label} differs between mobile and desktop`;
+    }));
+    if (metaData.status === 'good') {
+      metaData.status = 'needs_attention';
+    }
+  }
+
+  /**
+   * Lab metrics from the throttled mobile load (WebCrawler performanceMeter).
+   * LCP, CLS or TBT outside Google's "good" range is an issue.
+   */
+  addPerformanceInfo(metaData, result) {
+    if (!result.performance) return;
+
+    metaData.performance = result.performance.error
+      ? result.performance
+      : { ...result.performance, ratings: PerformanceMeter.rate(result.performance) };
+    if (result.performance.error) return;
+
+    const { ratings } = metaData.performance;
+    const { thresholds } = PerformanceMeter;
+    const issues = [];
+    if (ratings.lcp && ratings.lcp !== 'good') {
+      issues.push(`Slow Largest Contentful Paint (${(result.performance.lcp / 1000).toFixed(1)} s on throttled mobile, aim for under ${thresholds.lcp.good / 1000} s)`);
+    }
+    if (ratings.cls && ratings.cls !== 'good') {
+      issues.push(`Layout shifts while loading (CLS ${result.performance.cls}, aim for under ${thresholds.cls.good})`);
+    }
+    if (ratings.tbt && ratings.tbt !== 'good') {
+      issues.push(`JavaScript blocks the main thread (TBT ${result.performance.tbt} ms, aim for under ${thresholds.tbt.good} ms)`);
+    }
+
+    if (issues.length > 0) {
+      metaData.issues.push(...issues);
+      if (metaData.status === 'good') {
+        metaData.status = 'needs_attention';
+      }
+    }
+  }
+
+  /**
+   * @param {Array} crawlResults - WebCrawler results
+   * @param {Map} previousResults - Last analysis per URL; reused for pages that haven't changed (304)
+   * @returns {Array} Analysis per page
+   */
+  processPages(crawlResults, previousResults = new Map()) {
     return crawlResults.map(result => {
+      const previous = result.notModified ? previousResults.get(result.url) : null;
+      if (previous) {
+        return {
+          ...previous,
+          contentChange: 'unchanged',
+          attempts: result.attempts || 1,
+          timings: result.timings || previous.timings || null,
+          screenshots: result.screenshots || previous.screenshots || null
+        };
+      }
+
+      // Disallowed by robots.txt and not fetched
+      if (result.skipped && result.blockedByRobots) {
+        return {
+          url: result.url,
+          title: null,
+          metaDescription: null,
+          hasMetaDescription: false,
+          characterCount: 0,
+          status: 'blocked',
+          issues: [`Blocked by robots.txt (${result.blockedByRobots})`],
+          blockedByRobots: result.blockedByRobots,
+          httpStatus: null,
+          adminUrl: null,
+          dataLayer: result.dataLayer || { objectId: null, hasDataLayer: false }
+        };
+      }
+
       if (!result.success) {
+        const attempts = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+        const failure = result.failureType === 'transient'
+          ? 'temporary failure, try again later'
+          : 'permanent failure';
+
         return {
           url: result.url,
           title: null,
@@ -273,19 +612,37 @@ export class MetaExtractor {
           hasMetaDescription: false,
           characterCount: 0,
           status: 'error',
-          issues: [`Failed to fetch: ${result.error}`],
+          issues: [`Failed to fetch${attempts} (${failure}): ${result.error}`],
           httpStatus: result.status,
-          mboUrl: null,
+          attempts: result.attempts || 1,
+          failureType: result.failureType || 'permanent',
+          finalUrl: result.finalUrl || null,
+          redirectChain: result.redirectChain || [],
+          redirectLoop: result.redirectLoop || false,
+          adminUrl: null,
           dataLayer: result.dataLayer || { objectId: null, hasDataLayer: false }
         };
       }
 
       const metaData = this.extractMetaData(result.html, result.url);
 
-      // Add MBO and data layer information
-      metaData.mboUrl = result.mboUrl || null;
+      // Add back office link and data layer information
+      metaData.adminUrl = result.adminUrl || null;
+      metaData.attempts = result.attempts || 1;
+      metaData.contentChange = result.contentChange || null;
+      this.addRedirectInfo(metaData, result);
+      this.analyzeResponse(metaData, result);
+      this.addRenderComparison(metaData, result);
+      this.addDeviceComparison(metaData, result);
+      this.addPerformanceInfo(metaData, result);
+      metaData.screenshots = result.screenshots || null;
       metaData.dataLayer = result.dataLayer || { objectId: null, hasDataLayer: false };
 
+      // Fetched despite robots.txt because the scan overrode it
+      if (result.blockedByRobots) {
+        metaData.blockedByRobots = result.blockedByRobots;
+      }
+
       // Debug: Log what data layer info we got
       if (result.dataLayer) {
       }
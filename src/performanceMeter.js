@@ -0,0 +1,202 @@
+// Lighthouse's mobile profile (Slow 4G, mid-range phone), with the request-level
+// latency and throughput DevTools applies to reach it
+const DEFAULT_THROTTLING = {
+  latency: 562.5,
+  downloadThroughput: 1.4745 * 1024 * 1024 / 8,
+  uploadThroughput: 675 * 1024 / 8,
+  cpuSlowdown: 4
+};
+// After the load event, wait for this much network silence (up to the max) so late long tasks count towards TBT
+const NETWORK_IDLE_MS = 1000;
+const SETTLE_MAX_WAIT_MS = 10000;
+// Core Web Vitals boundaries: at or below good is good, above poor is poor, in between needs improvement
+const THRESHOLDS = {
+  lcp: { good: 2500, poor: 4000 },
+  cls: { good: 0.1, poor: 0.25 },
+  tbt: { good: 200, poor: 600 }
+};
+
+/**
+ * Lab performance metrics for one page load under a throttled mobile
+ * profile: LCP, CLS, total blocking time, DOMContentLoaded and load, plus
+ * request count and transfer size. Throttling and the observers are applied
+ * to the page passed in, so the caller should close that page afterwards
+ * rather than reuse it (see WebCrawler.measurePerformance).
+ *
+ * Numbers come from one run in a shared browser and move a little between
+ * scans; compare templates and trends, not single milliseconds.
+ */
+export class PerformanceMeter {
+  constructor(options = {}) {
+    this.throttling = { ...DEFAULT_THROTTLING, ...options.throttling };
+  }
+
+  static get thresholds() {
+    return THRESHOLDS;
+  }
+
+  /**
+   * @param {Object} performance - Metrics from measure()
+   * @returns {Object} { lcp, cls, tbt }, each 'good' | 'needs_improvement' | 'poor' (null when not measured)
+   */
+  static rate(performance) {
+    const ratings = {};
+    for (const [metric, { good, poor }] of Object.entries(THRESHOLDS)) {
+      const value = performance?.[metric];
+      ratings[metric] = value === null || value === undefined ? null
+        : value <= good ? 'good' : value <= poor ? 'needs_improvement' : 'poor';
+    }
+    return ratings;
+  }
+
+  /**
+   * Template a page belongs to, guessed from its URL: the first path
+   * segment, e.g. /p/* for ePages product pages, /c/* for categories
+   */
+  static getTemplate(url) {
+    let segments;
+    try {
+      segments = new URL(url).pathname.split('/').filter(Boolean);
+    } catch (error) {
+      return 'other';
+    }
+
+    if (segments.length === 0) return '/';
+    if (segments.length === 1) return '/*';
+    return `/${segments[0]}/*`;
+  }
+
+  /**
+   * Average metrics per template
+   * @param {Array} results - Analysis results, with performance where it was measured
+   * @returns {Array} [{ template, pages, lcp, cls, tbt, domContentLoaded, load, requests, transferBytes, poorPages }], slowest LCP first
+   */
+  static summarizeByTemplate(results) {
+    const groups = new Map();
+    for (const result of results) {
+      if (!result.performance || result.performance.error) continue;
+
+      const template = PerformanceMeter.getTemplate(result.url);
+      if (!groups.has(template)) groups.set(template, []);
+      groups.get(template).push(result.performance);
+    }
+
+    const average = (list, metric, decimals = 0) => {
+      const values = list.map(performance => performance[metric]).filter(value => typeof value === 'number');
+      if (values.length === 0) return null;
+      const factor = 10 ** decimals;
+      return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * factor) / factor;
+    };
+
+    return Array.from(groups.entries())
+      .map(([template, list]) => ({
+        template,
+        pages: list.length,
+        lcp: average(list, 'lcp'),
+        cls: average(list, 'cls', 3),
+        tbt: average(list, 'tbt'),
+        domContentLoaded: average(list, 'domContentLoaded'),
+        load: average(list, 'load'),
+        requests: average(list, 'requests'),
+        transferBytes: average(list, 'transferBytes'),
+        poorPages: list.filter(performance => Object.values(PerformanceMeter.rate(performance)).includes('poor')).length
+      }))
+      .sort((a, b) => (b.lcp || 0) - (a.lcp || 0));
+  }
+
+  /**
+   * Load url in page with throttling on and collect the metrics
+   * @param {Page} page - Puppeteer page, already set up with user agent, viewport and credentials
+   * @param {string} url - Page to load
+   * @param {number} timeout - Navigation timeout in ms (throttled loads take a while)
+   * @returns {Promise<Object>} { profile, fcp, lcp, cls, tbt, domContentLoaded, load, requests, transferBytes } in ms and bytes
+   */
+  async measure(page, url, timeout) {
+    const client = await page.target().createCDPSession();
+    const network = { requests: 0, transferBytes: 0 };
+
+    try {
+      await client.send('Network.enable');
+      await client.send('Network.emulateNetworkConditions', {
+        offline: false,
+        latency: this.throttling.latency,
+        downloadThroughput: this.throttling.downloadThroughput,
+        uploadThroughput: this.throttling.uploadThroughput
+      });
+      await client.send('Emulation.setCPUThrottlingRate', { rate: this.throttling.cpuSlowdown });
+      client.on('Network.requestWillBeSent', () => network.requests++);
+      client.on('Network.loadingFinished', event => {
+        network.transferBytes += event.encodedDataLength;
+      });
+
+      // Buffered observers: entries from before the script ran are delivered too
+      await page.evaluateOnNewDocument(() => {
+        const metrics = { lcp: null, cls: 0, longTasks: [] };
+        window.__seoCheckerPerformance = metrics;
+
+        const observe = (type, callback) => {
+          try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+          } catch (error) {
+            // Entry type not supported
+          }
+        };
+
+        observe('largest-contentful-paint', entry => {
+          metrics.lcp = entry.renderTime || entry.startTime;
+        });
+        observe('longtask', entry => metrics.longTasks.push([entry.startTime, entry.duration]));
+
+        // CLS is the worst burst of shifts: gaps under 1s, bursts at most 5s long
+        let burst = { value: 0, first: 0, last: 0 };
+        observe('layout-shift', entry => {
+          if (entry.hadRecentInput) return;
+          if (burst.value > 0 && entry.startTime - burst.last < 1000 && entry.startTime - burst.first < 5000) {
+            burst.value += entry.value;
+          } else {
+            burst = { value: entry.value, first: entry.startTime, last: entry.startTime };
+          }
+          burst.last = entry.startTime;
+          metrics.cls = Math.max(metrics.cls, burst.value);
+        });
+      });
+
+      await page.goto(url, { waitUntil: 'load', timeout });
+      await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout: SETTLE_MAX_WAIT_MS }).catch(() => {});
+
+      const metrics = await page.evaluate(() => {
+        const navigation = performance.getEntriesByType('navigation')[0];
+        const fcp = performance.getEntriesByName('first-contentful-paint')[0]?.startTime ?? null;
+        const observed = window.__seoCheckerPerformance || { lcp: null, cls: 0, longTasks: [] };
+        // Blocking time: the part of every long task after first paint beyond 50ms
+        const tbt = observed.longTasks
+          .filter(([start]) => fcp === null || start >= fcp)
+          .reduce((sum, [, duration]) => sum + Math.max(0, duration - 50), 0);
+
+        return {
+          fcp,
+          lcp: observed.lcp,
+          cls: observed.cls,
+          tbt,
+          domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+          load: navigation ? navigation.loadEventEnd : null
+        };
+      });
+
+      const round = (value) => value === null ? null : Math.round(value);
+      return {
+        profile: `Slow 4G, ${this.throttling.cpuSlowdown}x CPU slowdown, mobile`,
+        fcp: round(metrics.fcp),
+        lcp: round(metrics.lcp),
+        cls: Math.round(metrics.cls * 1000) / 1000,
+        tbt: round(metrics.tbt),
+        domContentLoaded: round(metrics.domContentLoaded),
+        load: round(metrics.load),
+        requests: network.requests,
+        transferBytes: network.transferBytes
+      };
+    } finally {
+      await client.detach().catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,19 @@
+import { PlatformAdapter } from './platformAdapter.js';
+
+/**
+ * Any site without a dedicated adapter. Product names and descriptions come
+ * from schema.org microdata, which most shop systems (Shopify themes,
+ * WooCommerce, Shopware...) render out of the box.
+ */
+export class GenericAdapter extends PlatformAdapter {
+  static type = 'generic';
+  static label = 'Generic website';
+
+  getSelectors() {
+    return {
+      crossSellingItem: null,
+      categoryProduct: '[itemtype*="schema.org/Product"] [itemprop="name"]',
+      productDescription: '[itemtype*="schema.org/Product"] [itemprop="description"]'
+    };
+  }
+}
@@ -0,0 +1,40 @@
+import { EpagesAdapter } from './epagesAdapter.js';
+import { GenericAdapter } from './genericAdapter.js';
+
+// New platforms (Shopify, WooCommerce...) only need an adapter class here
+const ADAPTERS = [EpagesAdapter, GenericAdapter];
+
+// Sitemaps without a platform setting keep the original ePages behaviour
+export const DEFAULT_PLATFORM = 'epages';
+
+/**
+ * @param {Object} config - Per-sitemap platform config { type, ...adapter options }
+ * @returns {PlatformAdapter}
+ */
+export function createPlatformAdapter(config = {}) {
+  const type = config.type || DEFAULT_PLATFORM;
+  const Adapter = ADAPTERS.find(adapter => adapter.type === type);
+  if (!Adapter) {
+    throw new Error(`Unknown platform "${type}". Available: ${ADAPTERS.map(adapter => adapter.type).join(', ')}`);
+  }
+  return new Adapter(config);
+}
+
+/**
+ * Keep only the settings the adapter knows about
+ * @param {Object} config - Platform config as sent by the UI
+ * @returns {Object} { type, ...known fields }
+ */
+export function normalizePlatformConfig(config = {}) {
+  const Adapter = createPlatformAdapter(config).constructor;
+  const normalized = { type: Adapter.type };
+  for (const field of Adapter.configFields) {
+    const value = typeof config[field.name] === 'string' ? config[field.name].trim() : '';
+    if (value) normalized[field.name] = value;
+  }
+  return normalized;
+}
+
+export function listPlatforms() {
+  return ADAPTERS.map(Adapter => new Adapter().describe());
+}
@@ -0,0 +1,110 @@
+/**
+ * What the crawler, MetaExtractor and AIService need to know about the shop
+ * software behind a site. Subclasses override whatever their platform
+ * supports; the defaults here describe a plain website (no back office,
+ * no object IDs, no platform-specific page parts).
+ *
+ * Adapters are created from the per-sitemap config
+ * { type: 'epages', ...options } by createPlatformAdapter (src/platforms/index.js).
+ */
+export class PlatformAdapter {
+  static type = null;
+  static label = null;
+  // Settings the UI asks for, e.g. [{ name: 'shopId', label: 'Shop ID' }]
+  static configFields = [];
+
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  /**
+   * Look for a logged-in back office session in the shared browser, so
+   * results can link straight to the page's edit screen
+   * @param {Page} page - Puppeteer page to navigate with
+   * @param {string} baseUrl - Site origin, e.g. https://www.example.com
+   * @returns {Promise<Object>} { hasSession, sessionType, token, url }
+   */
+  async detectSession(page, baseUrl) {
+    return { hasSession: false, sessionType: null, token: null, url: null };
+  }
+
+  /**
+   * Wait for the platform's data layer after the page has loaded
+   * @param {Page} page - Puppeteer page
+   * @param {number} timeout - Longest wait in ms
+   */
+  async waitForData(page, timeout) {
+  }
+
+  /**
+   * Read the platform's ID for the object a page shows (product, category...)
+   * @param {Page} page - Rendered Puppeteer page
+   * @returns {Promise<Object>} { objectId, hasDataLayer, debugInfo }
+   */
+  async extractObjectId(page) {
+    return { objectId: null, hasDataLayer: false, debugInfo: {} };
+  }
+
+  /**
+   * Back office link that opens the object for editing, or null
+   * @param {string} objectId - From extractObjectId
+   * @param {string} pageUrl - Storefront URL of the page
+   * @param {string} token - Session token from detectSession
+   */
+  getAdminUrl(objectId, pageUrl, token) {
+    const template = this.getAdminUrlTemplate();
+    if (!template || !objectId || !token) return null;
+
+    let origin;
+    try {
+      origin = new URL(pageUrl).origin;
+    } catch (error) {
+      return null;
+    }
+
+    return template
+      .replace('{origin}', origin)
+      .replace('{token}', encodeURIComponent(token))
+      .replace('{objectId}', encodeURIComponent(objectId));
+  }
+
+  /**
+   * Admin link pattern with {origin}, {token} and {objectId} placeholders;
+   * the UI fills it in with the token it holds
+   * @returns {string|null}
+   */
+  getAdminUrlTemplate() {
+    return null;
+  }
+
+  /**
+   * CSS selectors for platform-specific page parts; null where the
+   * platform has no such part
+   * @returns {Object} { crossSellingItem, categoryProduct, productDescription }
+   */
+  getSelectors() {
+    return {
+      crossSellingItem: null,
+      categoryProduct: null,
+      productDescription: null
+    };
+  }
+
+  /**
+   * Plain description for the UI
+   */
+  describe() {
+    return {
+      type: this.type,
+      label: this.constructor.label,
+      config: this.config,
+      configFields: this.constructor.configFields,
+      adminUrlTemplate: this.getAdminUrlTemplate(),
+      supportsSession: this.constructor.prototype.detectSession !== PlatformAdapter.prototype.detectSession
+    };
+  }
+}
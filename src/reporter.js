@@ -1,4 +1,6 @@
 import fs from 'fs';
+import { SiteAuth } from './siteAuth.js';
+import { PerformanceMeter } from './performanceMeter.js';
 
 export class Reporter {
   constructor() {
@@ -15,15 +17,22 @@ export class Reporter {
     const needsAttention = this.results.filter(r => r.status === 'needs_attention').length;
     const errors = this.results.filter(r => r.status === 'error').length;
     const good = this.results.filter(r => r.status === 'good').length;
+    const blocked = this.results.filter(r => r.status === 'blocked').length;
+    const renderingDifferences = this.results.filter(r => r.renderComparison?.differences.length > 0).length;
+    const deviceDifferences = this.results.filter(r => r.deviceComparison?.differences.length > 0).length;
 
     return {
       total,
       withMetaDescription,
-      missingMetaDescription: total - withMetaDescription - errors,
+      missingMetaDescription: total - withMetaDescription - errors - blocked,
       needsAttention,
       errors,
       good,
-      percentageWithMeta: Math.round((withMetaDescription / (total - errors)) * 100) || 0
+      blocked,
+      renderingDifferences,
+      deviceDifferences,
+      performanceByTemplate: PerformanceMeter.summarizeByTemplate(this.results),
+      percentageWithMeta: Math.round((withMetaDescription / (total - errors - blocked)) * 100) || 0
     };
   }
 
@@ -41,6 +50,16 @@ export class Reporter {
     console.log(`⚠️  Pages needing attention: ${summary.needsAttention}`);
     console.log(`🔴 Errors: ${summary.errors}`);
     console.log(`🟢 Pages in good shape: ${summary.good}`);
+    console.log(`🤖 Blocked by robots.txt: ${summary.blocked}`);
+    console.log(`🧩 Raw/rendered HTML differences: ${summary.renderingDifferences}`);
+    console.log(`📱 Mobile/desktop differences: ${summary.deviceDifferences}`);
+
+    if (summary.performanceByTemplate.length > 0) {
+      console.log('\nPERFORMANCE BY TEMPLATE (throttled mobile, averages):');
+      summary.performanceByTemplate.forEach(group => {
+        console.log(`🏎️  ${group.template} (${group.pages} pages): LCP ${group.lcp} ms, CLS ${group.cls}, TBT ${group.tbt} ms, ${group.poorPages} poor`);
+      });
+    }
 
     console.log('\nDETAILED RESULTS:');
     console.log('-'.repeat(60));
@@ -75,6 +94,7 @@ export class Reporter {
       case 'good': return '🟢';
       case 'needs_attention': return '⚠️';
       case 'error': return '🔴';
+      case 'blocked': return '🤖';
       default: return '❓';
     }
   }
@@ -84,10 +104,24 @@ export class Reporter {
     return {
       summary,
       timestamp: new Date().toISOString(),
-      results: this.results
+      results: this.getExportResults()
     };
   }
 
+  // Results as written to reports: user:password@ is stripped from URLs so
+  // staging credentials never end up in a shared file
+  getExportResults() {
+    const strip = SiteAuth.stripUrlCredentials;
+    return this.results.map(result => ({
+      ...result,
+      url: strip(result.url),
+      ...(result.finalUrl ? { finalUrl: strip(result.finalUrl) } : {}),
+      ...(result.redirectChain ? {
+        redirectChain: result.redirectChain.map(hop => ({ ...hop, url: strip(hop.url), location: strip(hop.location) }))
+      } : {})
+    }));
+  }
+
   generateCsvReport() {
     const headers = [
       'URL',
@@ -99,7 +133,7 @@ export class Reporter {
       'Issues'
     ];
 
-    const rows = this.results.map(result => [
+    const rows = this.getExportResults().map(result => [
       result.url,
       result.title || '',
       result.hasMetaDescription ? 'Yes' : 'No',
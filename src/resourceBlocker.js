@@ -0,0 +1,136 @@
+// Puppeteer resource types that never affect the HTML, meta tags or data layer we extract
+const DEFAULT_BLOCKED_TYPES = ['image', 'media', 'font'];
+// Resource types a project may block by type; documents and scripts only ever by domain
+const BLOCKABLE_TYPES = ['image', 'media', 'font', 'stylesheet', 'texttrack', 'eventsource', 'websocket', 'manifest', 'other'];
+// Analytics, tag and ad hosts; subdomains are blocked too
+const DEFAULT_BLOCKED_DOMAINS = [
+  'google-analytics.com',
+  'analytics.google.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'connect.facebook.net',
+  'facebook.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'hotjar.io',
+  'mouseflow.com',
+  'matomo.cloud',
+  'etracker.com',
+  'etracker.de',
+  'criteo.com',
+  'criteo.net',
+  'tiktok.com',
+  'snap.licdn.com',
+  'ads.linkedin.com'
+];
+
+/**
+ * Request interception rules for rendered crawls. Aborts heavy resources
+ * (images, media, fonts) and analytics/tag hosts so pages settle sooner;
+ * the main document and same-site scripts always load, so the DOM and the
+ * data layer come out the same.
+ *
+ * Rules are saved per sitemap as
+ * { enabled, blockResourceTypes: [...], blockDomains: [...], allowDomains: [...] }
+ * (see loadResourceBlocker in server.js).
+ */
+export class ResourceBlocker {
+  constructor(rules = {}) {
+    this.rules = ResourceBlocker.normalizeRules(rules);
+  }
+
+  static getDefaultRules() {
+    return {
+      enabled: true,
+      blockResourceTypes: [...DEFAULT_BLOCKED_TYPES],
+      blockDomains: [...DEFAULT_BLOCKED_DOMAINS],
+      allowDomains: []
+    };
+  }
+
+  /**
+   * Fill in defaults and drop anything we can't act on
+   * @param {Object} rules - Rules as sent by the UI or stored in saved-sitemaps.json
+   * @returns {Object} { enabled, blockResourceTypes, blockDomains, allowDomains }
+   */
+  static normalizeRules(rules = {}) {
+    const defaults = ResourceBlocker.getDefaultRules();
+    const domainList = (value, fallback) => {
+      if (!Array.isArray(value)) return fallback;
+      return [...new Set(value
+        .map(domain => String(domain).trim().toLowerCase().replace(/^\*?\./, ''))
+        .filter(domain => /^[a-z0-9.-]+$/.test(domain)))];
+    };
+
+    return {
+      enabled: rules.enabled !== false,
+      blockResourceTypes: Array.isArray(rules.blockResourceTypes)
+        ? rules.blockResourceTypes.filter(type => BLOCKABLE_TYPES.includes(type))
+        : defaults.blockResourceTypes,
+      blockDomains: domainList(rules.blockDomains, defaults.blockDomains),
+      allowDomains: domainList(rules.allowDomains, defaults.allowDomains)
+    };
+  }
+
+  matchesDomain(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * @param {string} url - Request URL
+   * @param {string} resourceType - Puppeteer resource type
+   * @returns {string|null} Why the request is blocked ('image', 'domain'...), or null to let it through
+   */
+  getBlockReason(url, resourceType) {
+    if (!this.rules.enabled || resourceType === 'document') return null;
+
+    let hostname;
+    try {
+      const parsed = new URL(url);
+      // data: and blob: URLs never touch the network
+      if (!parsed.protocol.startsWith('http')) return null;
+      hostname = parsed.hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+
+    if (this.matchesDomain(hostname, this.rules.allowDomains)) return null;
+    if (this.matchesDomain(hostname, this.rules.blockDomains)) return 'domain';
+    if (this.rules.blockResourceTypes.includes(resourceType)) return resourceType;
+    return null;
+  }
+
+  /**
+   * Turn on request interception for a page. BrowserService.releasePage
+   * turns it off again before the page is reused.
+   * @param {Page} page - Puppeteer page
+   * @param {SiteAuth} auth - Optional credentials; requests to its hosts get its headers
+   * @returns {Promise<Object>} Live counts { total, byReason: { image: 3, domain: 5, ... } }
+   */
+  async attach(page, auth = null) {
+    const stats = { total: 0, byReason: {} };
+    if (!this.rules.enabled && !auth?.isConfigured) return stats;
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const reason = this.getBlockReason(request.url(), request.resourceType());
+      if (reason) {
+        stats.total++;
+        stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+        request.abort('blockedbyclient').catch(() => {});
+      } else {
+        const authHeaders = auth ? auth.getPageHeaders(request.url()) : {};
+        const overrides = Object.keys(authHeaders).length > 0
+          ? { headers: { ...request.headers(), ...authHeaders } }
+          : undefined;
+        request.continue(overrides).catch(() => {});
+      }
+    });
+    return stats;
+  }
+}
@@ -0,0 +1,191 @@
+import axios from 'axios';
+
+// Crawlers only have to read this much of a robots.txt (RFC 9309 section 2.5)
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * A parsed robots.txt, as seen by one user agent.
+ *
+ * Groups are matched on the product token of the user agent
+ * ("SEO-Checker-Bot/1.0" -> "seo-checker-bot"), falling back to "*".
+ * Allow/Disallow paths support "*" wildcards and a trailing "$"; the longest
+ * matching rule wins and Allow wins a tie.
+ */
+export class RobotsTxt {
+  /**
+   * @param {string} content - robots.txt body
+   * @param {Object} options - { userAgent, baseUrl (for relative Sitemap: lines) }
+   */
+  constructor(content = '', options = {}) {
+    this.userAgent = options.userAgent || 'SEO-Checker-Bot/1.0';
+    this.baseUrl = options.baseUrl || null;
+    this.sitemaps = [];
+    this.rules = [];
+    this.crawlDelay = null;
+
+    this.parse(String(content).slice(0, MAX_ROBOTS_BYTES));
+  }
+
+  /**
+   * Download and parse robots.txt for a site. A missing robots.txt (4xx)
+   * allows everything. A server error means "disallow everything" per
+   * RFC 9309; when the server can't be reached at all we allow everything,
+   * so the pages report the real connection error instead of "blocked".
+   * @param {string} origin - Site origin, e.g. https://www.example.com
+   * @param {Object} options - { userAgent, timeout, headers (e.g. auth for staging sites), beforeRedirect }
+   * @returns {Promise<RobotsTxt>} Parsed rules, with fetchStatus set
+   */
+  static async fetch(origin, options = {}) {
+    const userAgent = options.userAgent || 'SEO-Checker-Bot/1.0';
+    const robotsUrl = `${origin}/robots.txt`;
+
+    let robots;
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: options.timeout || 10000,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { 'User-Agent': userAgent, ...options.headers },
+        beforeRedirect: options.beforeRedirect
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        robots = new RobotsTxt(response.data, { userAgent, baseUrl: origin });
+      } else if (response.status >= 500) {
+        robots = new RobotsTxt('User-agent: *\nDisallow: /', { userAgent, baseUrl: origin });
+      } else {
+        robots = new RobotsTxt('', { userAgent, baseUrl: origin });
+      }
+      robots.fetchStatus = response.status;
+    } catch (error) {
+      robots = new RobotsTxt('', { userAgent, baseUrl: origin });
+      robots.fetchStatus = null;
+      robots.fetchError = error.message;
+    }
+
+    robots.url = robotsUrl;
+    return robots;
+  }
+
+  parse(content) {
+    const token = this.userAgent.split('/')[0].trim().toLowerCase();
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        this.addSitemap(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share the rules that follow them
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything, so it doesn't need a rule
+        if (value) {
+          current.rules.push({ allow: field === 'allow', path: value, matches: this.compile(value) });
+        }
+      } else if (field === 'crawl-delay') {
+        const seconds = parseFloat(value);
+        if (!isNaN(seconds) && seconds >= 0) {
+          current.crawlDelay = seconds;
+        }
+      }
+    }
+
+    // Groups naming our bot replace the "*" groups; several matching groups are merged
+    let matching = groups.filter(group => group.agents.includes(token));
+    if (matching.length === 0) {
+      matching = groups.filter(group => group.agents.includes('*'));
+    }
+
+    this.rules = matching.flatMap(group => group.rules);
+    const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+    this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null;
+  }
+
+  addSitemap(value) {
+    try {
+      const sitemapUrl = new URL(value, this.baseUrl || undefined).href;
+      if (!this.sitemaps.includes(sitemapUrl)) {
+        this.sitemaps.push(sitemapUrl);
+      }
+    } catch (error) {
+      // Ignore malformed Sitemap: lines
+    }
+  }
+
+  compile(path) {
+    let pattern = path;
+    try {
+      // Compare percent-encoded forms, the way URL paths arrive
+      pattern = encodeURI(decodeURI(path));
+    } catch (error) {
+      // Leave malformed escapes as they are
+    }
+
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Find the rule that decides whether a URL may be crawled
+   * @param {string} url - Absolute URL
+   * @returns {Object} { allowed, rule } - rule is e.g. "Disallow: /cart", or null when nothing matched
+   */
+  check(url) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = parsed.pathname + parsed.search;
+    } catch (error) {
+      return { allowed: true, rule: null };
+    }
+
+    if (target === '/robots.txt') {
+      return { allowed: true, rule: null };
+    }
+
+    let best = null;
+    for (const rule of this.rules) {
+      if (!rule.matches.test(target)) continue;
+      if (!best || rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow && !best.allow)) {
+        best = rule;
+      }
+    }
+
+    if (!best) {
+      return { allowed: true, rule: null };
+    }
+    return { allowed: best.allow, rule: `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` };
+  }
+
+  isAllowed(url) {
+    return this.check(url).allowed;
+  }
+}
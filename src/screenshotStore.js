@@ -0,0 +1,165 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Capture sets kept per URL; the oldest is deleted when a new one comes in
+const MAX_SETS_PER_URL = 10;
+// Image names: <set id>-<device>-<fold|full>.jpg
+const IMAGE_NAME_PATTERN = /^[a-z0-9]+-(desktop|mobile)-(fold|full)\.jpg$/;
+// Images whose difference hashes differ in at most this many of 256 bits look the same
+const MAX_CHANGED_BITS = 16;
+
+/**
+ * Screenshots of every page of a sitemap, on disk under
+ * <rootDir>/<sitemap hash>/<url hash>/ with a manifest.json per URL.
+ *
+ * A capture set holds the images of one scan:
+ * { id, capturedAt, lastSeenAt, images: { 'desktop-fold': 'file.jpg', ... }, hashes, fingerprints }
+ * A scan whose images look like the latest set's (byte-identical, or
+ * difference hashes within MAX_CHANGED_BITS, so carousels and timestamps
+ * don't count) only bumps lastSeenAt, so the sets that remain are the
+ * visual history of the page.
+ */
+export class ScreenshotStore {
+  /**
+   * @param {string} rootDir - Directory for all screenshots (data-v2/screenshots)
+   * @param {string} sitemapUrl - Sitemap the pages belong to
+   */
+  constructor(rootDir, sitemapUrl) {
+    // Hashed in full: sitemaps of sites whose hostnames start alike mustn't share a folder
+    this.dir = path.join(rootDir, crypto.createHash('sha1').update(sitemapUrl).digest('hex'));
+    // Folder used before, named after the first 15 bytes of the sitemap URL
+    this.legacyDir = path.join(rootDir, Buffer.from(sitemapUrl).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20));
+  }
+
+  getUrlHash(url) {
+    return crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+  }
+
+  getUrlDir(url) {
+    return path.join(this.dir, this.getUrlHash(url));
+  }
+
+  /**
+   * @param {string} url - Page URL
+   * @returns {Promise<Array>} Capture sets, newest first
+   */
+  async list(url, { moveLegacy = true } = {}) {
+    try {
+      const data = await fs.readFile(path.join(this.getUrlDir(url), 'manifest.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Pages are hashed by their full URL, so a page's folder in the legacy
+    // sitemap folder is its own even when another sitemap shared that folder
+    const legacyUrlDir = path.join(this.legacyDir, this.getUrlHash(url));
+    try {
+      if (!moveLegacy) return [];
+      await fs.access(legacyUrlDir);
+    } catch {
+      return [];
+    }
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.rename(legacyUrlDir, this.getUrlDir(url)).catch(() => {});
+    return this.list(url, { moveLegacy: false });
+  }
+
+  /**
+   * Store the images of one capture
+   * @param {string} url - Page URL
+   * @param {Object} images - { 'desktop-fold': Buffer, 'desktop-full': Buffer, 'mobile-fold': Buffer, ... }
+   * @param {Object} fingerprints - Difference hashes by image name (see WebCrawler.getScreenshotFingerprints)
+   * @returns {Promise<Object>} The set the page now shows, plus changed (new images)
+   *   and previousId (the set before it, when changed)
+   */
+  async save(url, images, fingerprints = {}) {
+    const urlDir = this.getUrlDir(url);
+    const sets = await this.list(url);
+    const latest = sets[0];
+    const now = new Date().toISOString();
+
+    const hashes = Object.fromEntries(Object.entries(images)
+      .map(([name, buffer]) => [name, crypto.createHash('sha1').update(buffer).digest('hex')]));
+
+    const unchanged = latest && Object.keys(hashes).length === Object.keys(latest.hashes).length &&
+      Object.entries(hashes).every(([name, hash]) => latest.hashes[name] === hash ||
+        this.looksAlike(fingerprints[name], latest.fingerprints?.[name]));
+    if (unchanged) {
+      latest.lastSeenAt = now;
+      await this.writeManifest(urlDir, sets);
+      return { ...this.toPublicSet(latest), changed: false, previousId: null };
+    }
+
+    const id = Date.now().toString(36);
+    await fs.mkdir(urlDir, { recursive: true });
+    const files = {};
+    for (const [name, buffer] of Object.entries(images)) {
+      files[name] = `${id}-${name}.jpg`;
+      await fs.writeFile(path.join(urlDir, files[name]), buffer);
+    }
+
+    const set = { id, capturedAt: now, lastSeenAt: now, images: files, hashes, fingerprints };
+    sets.unshift(set);
+
+    for (const expired of sets.splice(MAX_SETS_PER_URL)) {
+      for (const file of Object.values(expired.images)) {
+        await fs.unlink(path.join(urlDir, file)).catch(() => {});
+      }
+    }
+
+    await this.writeManifest(urlDir, sets);
+    return { ...this.toPublicSet(set), changed: !!latest, previousId: latest?.id || null };
+  }
+
+  /**
+   * Mark the latest set as still current, for pages that weren't captured
+   * again because they haven't changed
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} The latest set like save's unchanged result, or null when url has none
+   */
+  async touch(url) {
+    const sets = await this.list(url);
+    if (!sets.length) return null;
+
+    sets[0].lastSeenAt = new Date().toISOString();
+    await this.writeManifest(this.getUrlDir(url), sets);
+    return { ...this.toPublicSet(sets[0]), changed: false, previousId: null };
+  }
+
+  // Hamming distance of two difference hashes (hex strings)
+  looksAlike(fingerprint, previous) {
+    if (!fingerprint || !previous || fingerprint.length !== previous.length) return false;
+
+    let changedBits = 0;
+    for (let i = 0; i < fingerprint.length; i++) {
+      let diff = parseInt(fingerprint[i], 16) ^ parseInt(previous[i], 16);
+      for (; diff; diff &= diff - 1) changedBits++;
+    }
+    return changedBits <= MAX_CHANGED_BITS;
+  }
+
+  async writeManifest(urlDir, sets) {
+    await fs.writeFile(path.join(urlDir, 'manifest.json'), JSON.stringify(sets, null, 2));
+  }
+
+  // What results and the API carry; hashes only matter for change detection
+  toPublicSet(set) {
+    return { id: set.id, capturedAt: set.capturedAt, lastSeenAt: set.lastSeenAt, images: set.images };
+  }
+
+  /**
+   * Path of a stored image, or null when file isn't one of url's screenshots
+   * (file comes from the browser, so it's checked against the manifest)
+   */
+  async getImagePath(url, file) {
+    if (!IMAGE_NAME_PATTERN.test(file)) return null;
+
+    const sets = await this.list(url);
+    const known = sets.some(set => Object.values(set.images).includes(file));
+    return known ? path.join(this.getUrlDir(url), file) : null;
+  }
+}
@@ -0,0 +1,273 @@
+// Stands in for secrets in API responses; sending it back keeps the stored value
+export const REDACTED = '••••••';
+
+/**
+ * Credentials for crawling a protected site (staging shops behind basic auth
+ * or a login form). Saved per sitemap as
+ * {
+ *   hosts: ['staging.example.com'],          // defaults to the sitemap's host
+ *   basicAuth: { username, password },
+ *   headers: { 'X-Staging-Token': '...' },
+ *   cookies: [{ name, value }],
+ *   login: { url, username, password, usernameSelector, passwordSelector, submitSelector }
+ * }
+ *
+ * Credentials are only sent to the configured hosts, never to redirect
+ * targets or third parties elsewhere: axios requests drop them on redirects
+ * (dropHeadersOnRedirect), browser pages add them per request (see
+ * ResourceBlocker.attach). Cookies set by the site (including the
+ * session cookie from the scripted login) are kept in a jar shared by the
+ * axios and Puppeteer paths.
+ */
+export class SiteAuth {
+  /**
+   * @param {Object} config - Stored auth settings (see above)
+   * @param {Object} options - { sitemapUrl } whose host is used when config.hosts is empty
+   */
+  constructor(config = {}, options = {}) {
+    this.config = SiteAuth.normalize(config);
+    this.hosts = this.config.hosts.length > 0 ? this.config.hosts : SiteAuth.getHosts(options.sitemapUrl);
+    this.cookies = new Map(this.config.cookies.map(cookie => [cookie.name, cookie.value]));
+  }
+
+  static getHosts(url) {
+    try {
+      return [new URL(url).hostname.toLowerCase()];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Clean up settings from the UI. Secrets sent back as REDACTED keep the
+   * value from previous.
+   * @param {Object} config - Settings as sent by the UI
+   * @param {Object} previous - Currently stored settings
+   * @returns {Object} { hosts, basicAuth, headers, cookies, login }
+   */
+  static normalize(config = {}, previous = {}) {
+    const keep = (value, previousValue) => value === REDACTED ? (previousValue || '') : String(value ?? '').trim();
+
+    const hosts = (Array.isArray(config.hosts) ? config.hosts : String(config.hosts || '').split(/[\s,]+/))
+      .map(host => String(host).trim().toLowerCase())
+      .filter(host => /^[a-z0-9.-]+$/.test(host));
+
+    let basicAuth = null;
+    if (config.basicAuth?.username) {
+      basicAuth = {
+        username: String(config.basicAuth.username).trim(),
+        password: keep(config.basicAuth.password, previous.basicAuth?.password)
+      };
+    }
+
+    const headers = {};
+    for (const [name, value] of Object.entries(config.headers || {})) {
+      const headerName = name.trim();
+      if (/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(headerName)) {
+        headers[headerName] = keep(value, previous.headers?.[headerName]);
+      }
+    }
+
+    // Accepts a Cookie header string ("a=1; b=2") or [{ name, value }]
+    const cookieList = typeof config.cookies === 'string'
+      ? config.cookies.split(';').map(pair => {
+        const separator = pair.indexOf('=');
+        return separator > 0 ? { name: pair.slice(0, separator), value: pair.slice(separator + 1) } : null;
+      })
+      : (config.cookies || []);
+    const previousCookies = new Map((previous.cookies || []).map(cookie => [cookie.name, cookie.value]));
+    const cookies = cookieList
+      .filter(cookie => cookie && String(cookie.name || '').trim())
+      .map(cookie => {
+        const name = String(cookie.name).trim();
+        return { name, value: keep(cookie.value, previousCookies.get(name)) };
+      });
+
+    let login = null;
+    if (config.login?.url) {
+      login = {
+        url: String(config.login.url).trim(),
+        username: keep(config.login.username, previous.login?.username),
+        password: keep(config.login.password, previous.login?.password),
+        usernameSelector: keep(config.login.usernameSelector) || 'input[type="email"], input[name*="user"], input[name*="login"]',
+        passwordSelector: keep(config.login.passwordSelector) || 'input[type="password"]',
+        submitSelector: keep(config.login.submitSelector) || 'button[type="submit"], input[type="submit"]'
+      };
+    }
+
+    return { hosts, basicAuth, headers, cookies, login };
+  }
+
+  /**
+   * Settings with every secret replaced by REDACTED, for API responses
+   * @param {Object} config - Stored auth settings
+   * @returns {Object|null}
+   */
+  static redact(config) {
+    if (!config) return null;
+    const normalized = SiteAuth.normalize(config);
+    const hide = (value) => value ? REDACTED : '';
+
+    return {
+      ...normalized,
+      basicAuth: normalized.basicAuth ? { ...normalized.basicAuth, password: hide(normalized.basicAuth.password) } : null,
+      headers: Object.fromEntries(Object.keys(normalized.headers).map(name => [name, hide(normalized.headers[name])])),
+      cookies: normalized.cookies.map(cookie => ({ name: cookie.name, value: hide(cookie.value) })),
+      login: normalized.login ? { ...normalized.login, password: hide(normalized.login.password) } : null
+    };
+  }
+
+  /**
+   * Remove user:password@ from a URL so it can go into a report
+   */
+  static stripUrlCredentials(url) {
+    if (typeof url !== 'string' || !url.includes('@')) return url;
+    try {
+      const parsed = new URL(url);
+      if (!parsed.username && !parsed.password) return url;
+      parsed.username = '';
+      parsed.password = '';
+      return parsed.href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  get isConfigured() {
+    const { basicAuth, headers, cookies, login } = this.config;
+    return !!(basicAuth || Object.keys(headers).length > 0 || cookies.length > 0 || login);
+  }
+
+  appliesTo(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+    return this.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  getCookieHeader() {
+    return Array.from(this.cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  /**
+   * Headers for a plain HTTP request
+   * @param {string} url - URL being requested
+   * @returns {Object} Authorization, custom headers and Cookie, or {} for other hosts
+   */
+  getRequestHeaders(url) {
+    if (!this.isConfigured || !this.appliesTo(url)) return {};
+
+    const headers = {};
+    const { basicAuth } = this.config;
+    if (basicAuth) {
+      headers.Authorization = `Basic ${Buffer.from(`${basicAuth.username}:${basicAuth.password}`).toString('base64')}`;
+    }
+    Object.assign(headers, this.config.headers);
+
+    const cookie = this.getCookieHeader();
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+    return headers;
+  }
+
+  /**
+   * For axios' beforeRedirect option: a redirect away from the configured
+   * hosts drops the headers getRequestHeaders added
+   * @param {Object} options - Request options of the next hop (follow-redirects)
+   */
+  dropHeadersOnRedirect(options) {
+    if (this.appliesTo(options.href)) return;
+
+    const names = ['authorization', 'cookie', ...Object.keys(this.config.headers).map(name => name.toLowerCase())];
+    for (const name of Object.keys(options.headers || {})) {
+      if (names.includes(name.toLowerCase())) {
+        delete options.headers[name];
+      }
+    }
+  }
+
+  /**
+   * Headers a browser page adds to its requests to url (see
+   * ResourceBlocker.attach): Authorization and the custom headers. Cookies
+   * are left to the browser, which scopes them itself.
+   * @param {string} url - URL being requested
+   * @returns {Object} Headers, or {} for other hosts
+   */
+  getPageHeaders(url) {
+    const { Cookie, ...headers } = this.getRequestHeaders(url);
+    return headers;
+  }
+
+  /**
+   * Add cookies a response set to the jar
+   * @param {string} url - URL that answered
+   * @param {string|string[]} setCookie - Set-Cookie header(s)
+   */
+  storeCookies(url, setCookie) {
+    if (!setCookie || !this.appliesTo(url)) return;
+
+    for (const header of [].concat(setCookie)) {
+      const [pair] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        this.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    }
+  }
+
+  /**
+   * Give a browser page the cookie jar before it navigates to url. Cookies
+   * live in the browser context, so the page should be an isolated one (see
+   * WebCrawler.pageOptions). Authorization and custom headers aren't set on
+   * the page, which would send them to every host it loads from; they're
+   * added per request by ResourceBlocker.attach(page, auth).
+   */
+  async preparePage(page, url) {
+    if (!this.isConfigured || !this.appliesTo(url)) return;
+
+    if (this.cookies.size > 0) {
+      const { origin } = new URL(url);
+      await page.setCookie(...Array.from(this.cookies.entries()).map(([name, value]) => ({ name, value, url: origin })));
+    }
+  }
+
+  /**
+   * Scripted login: fill in the login form, submit it and keep the cookies
+   * the site sets, so later requests (axios and Puppeteer) are logged in
+   * @param {Page} page - Puppeteer page
+   * @param {number} timeout - Navigation timeout in ms
+   * @returns {Promise<Object>} { url (where the login ended up), cookies (count) }
+   */
+  async login(page, timeout = 15000) {
+    const { login } = this.config;
+    if (!login) return null;
+
+    await this.preparePage(page, login.url);
+    await page.goto(login.url, { waitUntil: 'networkidle2', timeout });
+    await page.waitForSelector(login.passwordSelector, { timeout });
+    await page.type(login.usernameSelector, login.username);
+    await page.type(login.passwordSelector, login.password);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).catch(() => {}),
+      page.click(login.submitSelector)
+    ]);
+
+    // Still on a page with a password field: the login didn't take
+    if (await page.$(login.passwordSelector)) {
+      throw new Error(`Login at ${login.url} failed - the login form is still shown`);
+    }
+
+    const cookies = await page.cookies();
+    for (const cookie of cookies) {
+      if (this.appliesTo(`https://${cookie.domain.replace(/^\./, '')}/`)) {
+        this.cookies.set(cookie.name, cookie.value);
+      }
+    }
+
+    return { url: page.url(), cookies: cookies.length };
+  }
+}
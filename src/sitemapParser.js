@@ -1,66 +1,577 @@
 import axios from 'axios';
-import { parseString } from 'xml2js';
+import zlib from 'zlib';
+import sax from 'sax';
+import { Readable, pipeline } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { RobotsTxt } from './robotsTxt.js';
+
+const GZIP_MAGIC_BYTES = [0x1f, 0x8b];
+
+// Probed in order when robots.txt doesn't declare any sitemaps
+const COMMON_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap.xml.gz'];
+
+// How many child sitemaps of an index are downloaded at the same time
+const DEFAULT_CONCURRENCY = 4;
+
+// Entries read ahead of the consumer; readers pause while this many are waiting
+const MAX_BUFFERED_ENTRIES = 1000;
+
+// Indexes shouldn't nest at all, but some generators do - anything deeper than this is a loop or a mistake
+const DEFAULT_MAX_DEPTH = 3;
+
+// Uploaded files and pasted lists, see SitemapParser.isLocalSource
+const LOCAL_SOURCE_PATTERN = /^(upload|list):/;
+
+// Root element -> the element that holds one entry
+const XML_FORMATS = {
+  urlset: { format: 'urlset', entryTag: 'url' },
+  sitemapindex: { format: 'sitemapindex', entryTag: 'sitemap' },
+  rss: { format: 'rss', entryTag: 'item' },
+  RDF: { format: 'rss', entryTag: 'item' },
+  feed: { format: 'atom', entryTag: 'entry' }
+};
+
+const FEED_DATE_FIELDS = ['updated', 'pubDate', 'date', 'published'];
+
+const VIDEO_FIELDS = {
+  title: 'title',
+  description: 'description',
+  thumbnail_loc: 'thumbnailLoc',
+  content_loc: 'contentLoc',
+  player_loc: 'playerLoc',
+  duration: 'duration',
+  publication_date: 'publicationDate'
+};
 
 export class SitemapParser {
-  async parseXmlSitemap(sitemapUrl) {
+  constructor(options = {}) {
+    // Optional SitemapValidator that gets told about every file and entry we read
+    this.validator = options.validator || null;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    // async (key) => Buffer, used for upload: and list: sources
+    this.readSource = options.readSource || null;
+    // Optional SiteAuth for sitemaps on protected (staging) sites
+    this.auth = options.auth || null;
+  }
+
+  /**
+   * Open a sitemap as a stream of raw chunks, inflating gzipped sitemaps
+   * (sitemap.xml.gz) on the fly. Uploaded and pasted sources are read through
+   * the readSource option instead of over HTTP.
+   */
+  async openSitemapStream(sitemapUrl) {
+    let raw;
+    if (this.isLocalSource(sitemapUrl)) {
+      if (!this.readSource) {
+        throw new Error(`No reader configured for ${sitemapUrl}`);
+      }
+      raw = Readable.from([await this.readSource(sitemapUrl)]);
+    } else {
+      const response = await axios.get(sitemapUrl, {
+        responseType: 'stream',
+        headers: {
+          'User-Agent': 'SEO-Checker-Bot/1.0',
+          'Accept': 'application/xml,text/xml,application/rss+xml,application/atom+xml,text/plain,text/csv,application/x-gzip,application/gzip,*/*;q=0.8',
+          ...(this.auth ? this.auth.getRequestHeaders(sitemapUrl) : {})
+        },
+        beforeRedirect: this.auth ? options => this.auth.dropHeadersOnRedirect(options) : undefined
+      });
+      raw = response.data;
+    }
+
+    // Peek at the first chunk: servers often send .gz files with
+    // Content-Encoding: gzip, in which case axios has already inflated the body
+    // and only the extension is left over, so the magic bytes are what counts
+    const chunks = raw[Symbol.asyncIterator]();
+    const first = await chunks.next();
+    const body = Readable.from((async function* () {
+      if (!first.done) yield first.value;
+      for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+        yield next.value;
+      }
+    })());
+
+    if (first.done || !this.hasGzipMagicBytes(first.value)) {
+      return body;
+    }
+
+    return pipeline(body, zlib.createGunzip(), () => {
+      // Errors surface through the returned stream
+    });
+  }
+
+  hasGzipMagicBytes(body) {
+    return body.length >= 2 && body[0] === GZIP_MAGIC_BYTES[0] && body[1] === GZIP_MAGIC_BYTES[1];
+  }
+
+  /**
+   * Uploaded files and pasted lists are stored under keys like
+   * upload:clients.csv or list:pasted-list rather than fetched
+   */
+  isLocalSource(sitemapUrl) {
+    return LOCAL_SOURCE_PATTERN.test(sitemapUrl);
+  }
+
+  isAbsoluteUrl(url) {
     try {
-      const response = await axios.get(sitemapUrl);
-      const xml = response.data;
-
-      return new Promise((resolve, reject) => {
-        parseString(xml, (err, result) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+      new URL(url);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
 
-          const urls = [];
-
-          if (result.urlset && result.urlset.url) {
-            for (const url of result.urlset.url) {
-              if (url.loc && url.loc[0]) {
-                urls.push({
-                  url: url.loc[0],
-                  lastmod: url.lastmod ? url.lastmod[0] : null,
-                  priority: url.priority ? parseFloat(url.priority[0]) : null
-                });
-              }
-            }
-          }
+  /**
+   * Read a single sitemap file, yielding entries as soon as they are read
+   * instead of building the whole document. XML sitemaps, sitemap indexes and
+   * RSS/Atom feeds go through a SAX parser; anything that doesn't start with
+   * a tag is read as a plain text sitemap or CSV export, one URL per line.
+   * @param {string} sitemapUrl - Sitemap URL or local source key
+   * @returns {AsyncGenerator<Object>} Page entries ({ url, lastmod, priority, changefreq,
+   *   alternates, images, videos }) and index entries ({ url, type: 'sitemap', lastmod })
+   */
+  async *streamSitemap(sitemapUrl) {
+    let stream;
+    try {
+      stream = await this.openSitemapStream(sitemapUrl);
+    } catch (error) {
+      throw new Error(`Failed to fetch sitemap: ${error.message}`);
+    }
 
-          if (result.sitemapindex && result.sitemapindex.sitemap) {
-            for (const sitemap of result.sitemapindex.sitemap) {
-              if (sitemap.loc && sitemap.loc[0]) {
-                urls.push({
-                  url: sitemap.loc[0],
-                  type: 'sitemap',
-                  lastmod: sitemap.lastmod ? sitemap.lastmod[0] : null
-                });
-              }
-            }
-          }
+    const decoder = new StringDecoder('utf8');
+    const ready = [];
+    const stats = { format: null, bytes: 0, urlCount: 0 };
+    let reader = null;
+
+    if (this.validator) {
+      this.validator.addSitemap({ url: sitemapUrl });
+    }
+
+    const onEntry = (entry) => {
+      stats.urlCount++;
+      if (this.validator) this.validator.addEntry(entry, sitemapUrl);
+      ready.push(entry);
+    };
+
+    try {
+      for await (const chunk of stream) {
+        stats.bytes += chunk.length;
+        const text = decoder.write(chunk);
+
+        if (!reader) {
+          // Wait until we've seen something other than a BOM or whitespace
+          const start = text.replace(/^[\uFEFF\s]+/, '');
+          if (!start) continue;
+          reader = start.startsWith('<')
+            ? this.createXmlReader(onEntry, stats)
+            : this.createTextReader(onEntry, stats);
+        }
 
-          resolve(urls);
+        reader.write(text);
+        while (ready.length > 0) {
+          yield ready.shift();
+        }
+      }
+
+      if (reader) {
+        reader.end(decoder.end());
+      }
+      while (ready.length > 0) {
+        yield ready.shift();
+      }
+    } catch (error) {
+      throw new Error(`Failed to parse sitemap ${sitemapUrl}: ${error.message}`);
+    } finally {
+      stream.destroy();
+      if (this.validator) {
+        this.validator.completeSitemap(sitemapUrl, {
+          type: stats.format || 'urlset',
+          bytes: stats.bytes,
+          urlCount: stats.urlCount
         });
+      }
+    }
+  }
+
+  /**
+   * SAX reader for XML sitemaps, sitemap indexes, RSS 2.0/1.0 and Atom feeds
+   */
+  createXmlReader(onEntry, stats) {
+    const parser = sax.parser(true);
+    let entryTag = null;
+    let entry = null;
+    let image = null;
+    let video = null;
+    let text = '';
+
+    // Namespace prefixes are stripped so xhtml:link, image:image and video:video
+    // are read the same way whatever prefix the sitemap declares
+    const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+    parser.onopentag = (node) => {
+      const name = localName(node.name);
+      text = '';
+
+      if (!stats.format) {
+        if (!XML_FORMATS[name]) {
+          throw new Error(`Unsupported format: <${node.name}> is not a sitemap, RSS or Atom document`);
+        }
+        stats.format = XML_FORMATS[name].format;
+        entryTag = XML_FORMATS[name].entryTag;
+      } else if (name === entryTag) {
+        entry = stats.format === 'sitemapindex'
+          ? { url: null, type: 'sitemap', lastmod: null }
+          : { url: null, lastmod: null, priority: null, changefreq: null, alternates: [], images: [], videos: [] };
+      } else if (entry && name === 'image' && stats.format === 'urlset') {
+        image = { loc: null, title: null, caption: null };
+      } else if (entry && name === 'video' && stats.format === 'urlset') {
+        video = Object.fromEntries(Object.values(VIDEO_FIELDS).map(field => [field, null]));
+      } else if (entry && name === 'link' && stats.format === 'urlset') {
+        const alternate = this.parseAlternate(node.attributes);
+        if (alternate) entry.alternates.push(alternate);
+      } else if (entry && name === 'link' && stats.format === 'atom') {
+        // Atom entries point at the page with <link href="..."> (rel="alternate" or no rel)
+        const rel = node.attributes.rel || 'alternate';
+        if (rel === 'alternate' && node.attributes.href && !entry.url) {
+          entry.url = node.attributes.href.trim();
+        }
+      }
+    };
+
+    parser.ontext = (value) => { text += value; };
+    parser.oncdata = (value) => { text += value; };
+
+    parser.onclosetag = (tagName) => {
+      const name = localName(tagName);
+      const value = text.trim() || null;
+      text = '';
+
+      if (!entry) return;
+
+      if (image) {
+        if (name === 'image') {
+          if (image.loc) entry.images.push(image);
+          image = null;
+        } else if (name in image) {
+          image[name] = value;
+        }
+      } else if (video) {
+        if (name === 'video') {
+          entry.videos.push(video);
+          video = null;
+        } else if (VIDEO_FIELDS[name]) {
+          video[VIDEO_FIELDS[name]] = name === 'duration' && value ? parseInt(value) : value;
+        }
+      } else if (name === entryTag) {
+        if (entry.url) onEntry(entry);
+        entry = null;
+      } else if (stats.format === 'rss' || stats.format === 'atom') {
+        this.readFeedField(entry, name, value);
+      } else if (name === 'loc') {
+        entry.url = value;
+      } else if (name === 'lastmod') {
+        entry.lastmod = value;
+      } else if (name === 'priority' && entry.type !== 'sitemap') {
+        entry.priority = value !== null ? parseFloat(value) : null;
+      } else if (name === 'changefreq' && entry.type !== 'sitemap') {
+        entry.changefreq = value;
+      }
+    };
+
+    return {
+      write: (chunk) => parser.write(chunk),
+      end: (chunk) => parser.write(chunk).close()
+    };
+  }
+
+  /**
+   * Map RSS <item> / Atom <entry> children onto a sitemap entry. Feed dates
+   * (RFC 822 pubDate, dc:date, Atom updated) become W3C lastmod values.
+   */
+  readFeedField(entry, name, value) {
+    if (!value) return;
+
+    if (name === 'link' && !entry.url) {
+      entry.url = value;
+    } else if (name === 'guid' && !entry.url && /^https?:\/\//i.test(value)) {
+      entry.url = value;
+    } else if (FEED_DATE_FIELDS.includes(name) && !entry.lastmod) {
+      const date = new Date(value);
+      entry.lastmod = isNaN(date.getTime()) ? value : date.toISOString();
+    }
+  }
+
+  /**
+   * Line reader for plain text sitemaps and URL lists (TXT/CSV). The first
+   * http(s) cell on each line is used, so header rows and extra columns from
+   * spreadsheet exports are skipped.
+   */
+  createTextReader(onEntry, stats) {
+    let partial = '';
+    stats.format = 'text';
+
+    const readLines = (lines) => {
+      for (const line of lines) {
+        const url = this.parseTextLine(line);
+        if (url) {
+          onEntry({ url, lastmod: null, priority: null, changefreq: null, alternates: [], images: [], videos: [] });
+        }
+      }
+    };
+
+    return {
+      write: (chunk) => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        readLines(lines);
+      },
+      end: (chunk) => {
+        readLines((partial + chunk).split(/\r?\n/));
+        partial = '';
+      }
+    };
+  }
+
+  parseTextLine(line) {
+    for (const cell of line.split(/[,;\t]/)) {
+      const value = cell.trim().replace(/^["']|["']$/g, '').trim();
+      if (/^https?:\/\/\S+$/i.test(value)) {
+        return value;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse <xhtml:link rel="alternate" hreflang="..." href="..."> attributes
+   */
+  parseAlternate(attrs = {}) {
+    if (attrs.rel !== 'alternate' || !attrs.hreflang || !attrs.href) {
+      return null;
+    }
+
+    return {
+      hreflang: attrs.hreflang.trim(),
+      href: attrs.href.trim()
+    };
+  }
+
+  /**
+   * Turn user input into a list of sitemap URLs. A bare domain (or homepage URL)
+   * triggers discovery; anything with a path is treated as a sitemap URL.
+   * Uploaded and pasted sources are passed through as they are.
+   * @param {string} input - Domain, homepage URL, sitemap URL or local source key
+   * @returns {Promise<Object>} Sitemap URLs and where they came from
+   */
+  async resolveSitemaps(input) {
+    if (this.isLocalSource(input)) {
+      return { sitemaps: [input], source: 'upload' };
+    }
+
+    const siteUrl = this.normalizeSiteUrl(input);
+
+    if (siteUrl.pathname !== '/' || siteUrl.search) {
+      return { sitemaps: [siteUrl.href], source: 'direct' };
+    }
+
+    const discovery = await this.discoverSitemaps(siteUrl.origin);
+    if (discovery.sitemaps.length === 0) {
+      throw new Error(`No sitemaps found for ${siteUrl.origin} (checked robots.txt and ${COMMON_SITEMAP_PATHS.join(', ')})`);
+    }
+
+    return discovery;
+  }
+
+  normalizeSiteUrl(input) {
+    const trimmed = (input || '').trim();
+    const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+    try {
+      return new URL(withScheme);
+    } catch (error) {
+      throw new Error(`Invalid sitemap URL or domain: ${input}`);
+    }
+  }
+
+  /**
+   * Find sitemaps for a site from the Sitemap: lines in robots.txt,
+   * falling back to the common sitemap locations
+   * @param {string} origin - Site origin, e.g. https://www.example.com
+   * @returns {Promise<Object>} Sitemap URLs and where they came from
+   */
+  async discoverSitemaps(origin) {
+    const robotsSitemaps = await this.getRobotsSitemaps(origin);
+    if (robotsSitemaps.length > 0) {
+      return { sitemaps: robotsSitemaps, source: 'robots.txt' };
+    }
+
+    const sitemaps = [];
+    for (const path of COMMON_SITEMAP_PATHS) {
+      const candidate = `${origin}${path}`;
+      if (await this.sitemapExists(candidate)) {
+        sitemaps.push(candidate);
+      }
+    }
+
+    return { sitemaps, source: 'common-locations' };
+  }
+
+  async getRobotsSitemaps(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: 'text',
+        headers: { 'User-Agent': 'SEO-Checker-Bot/1.0' }
       });
+
+      return this.parseRobotsSitemaps(String(response.data), origin);
     } catch (error) {
-      throw new Error(`Failed to fetch sitemap: ${error.message}`);
+      // No robots.txt (or unreachable) - fall back to common locations
+      return [];
     }
   }
 
-  async getAllUrls(sitemapUrl) {
-    const initialUrls = await this.parseXmlSitemap(sitemapUrl);
-    const allUrls = [];
+  parseRobotsSitemaps(robotsTxt, origin) {
+    return new RobotsTxt(robotsTxt, { baseUrl: origin }).sitemaps;
+  }
+
+  async sitemapExists(sitemapUrl) {
+    const request = (method) => axios.request({
+      method,
+      url: sitemapUrl,
+      timeout: 10000,
+      validateStatus: () => true,
+      headers: { 'User-Agent': 'SEO-Checker-Bot/1.0' }
+    });
+
+    try {
+      let response = await request('HEAD');
+      // Some servers don't implement HEAD for static files
+      if (response.status === 405 || response.status === 501) {
+        response = await request('GET');
+      }
+      return response.status >= 200 && response.status < 300;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stream every page entry from one or more sitemaps, following sitemap indexes.
+   * Entries whose loc isn't an absolute URL are left out. Child sitemaps are
+   * read with bounded concurrency and pause while MAX_BUFFERED_ENTRIES entries
+   * wait to be consumed; a sitemap that was already read (a loop back to an
+   * index above it, or one listed by two indexes) or that sits deeper than
+   * maxDepth is skipped.
+   * @param {string|string[]} sitemapUrl - Sitemap URL, or a list of discovered sitemaps
+   * @returns {AsyncGenerator<Object>} Entries: { url, lastmod, priority, changefreq, sourceSitemap, ... }
+   */
+  async *streamAllUrls(sitemapUrl) {
+    // parents: the indexes that led to a sitemap, to tell loops from sitemaps listed twice
+    const queue = (Array.isArray(sitemapUrl) ? sitemapUrl : [sitemapUrl]).map(url => ({ url, depth: 0, parents: [] }));
+    const visited = new Set(queue.map(task => task.url));
+    const ready = [];
+    let running = 0;
+    let failure = null;
+    let closed = false;
+    let wake = null;
+    // Readers waiting for the consumer to catch up
+    let paused = [];
+
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
 
-    for (const item of initialUrls) {
-      if (item.type === 'sitemap') {
-        const subUrls = await this.getAllUrls(item.url);
-        allUrls.push(...subUrls);
-      } else {
-        allUrls.push(item.url);
+    const resumeReaders = () => {
+      const waiting = paused;
+      paused = [];
+      waiting.forEach(resume => resume());
+    };
+
+    const read = async (task) => {
+      try {
+        for await (const entry of this.streamSitemap(task.url)) {
+          if (failure || closed) return;
+
+          // Relative locs are reported by the validator (not_absolute) but can't be fetched
+          if (!this.isAbsoluteUrl(entry.url)) continue;
+
+          if (entry.type !== 'sitemap') {
+            ready.push({ ...entry, sourceSitemap: task.url });
+            notify();
+            // Not pulling from streamSitemap leaves the rest of the download unread
+            if (ready.length >= MAX_BUFFERED_ENTRIES) {
+              await new Promise(resolve => paused.push(resolve));
+            }
+          } else if (visited.has(entry.url)) {
+            const loop = entry.url === task.url || task.parents.includes(entry.url);
+            console.warn(`Skipping sitemap already read: ${entry.url} (listed in ${task.url}${loop ? ', a loop' : ''})`);
+            if (this.validator) this.validator.addIssue(loop ? 'index_loop' : 'index_duplicate', task.url, entry.url);
+          } else if (task.depth + 1 > this.maxDepth) {
+            console.warn(`Skipping sitemap nested deeper than ${this.maxDepth} levels: ${entry.url}`);
+            if (this.validator) this.validator.addIssue('index_too_deep', task.url, entry.url, String(task.depth + 1));
+          } else {
+            // Child sitemaps may be gzipped too (e.g. sitemap-products-1.xml.gz)
+            visited.add(entry.url);
+            queue.push({ url: entry.url, depth: task.depth + 1, parents: [...task.parents, task.url] });
+          }
+        }
+      } catch (error) {
+        failure = failure || error;
+      } finally {
+        running--;
+        notify();
       }
+    };
+
+    try {
+      while (true) {
+        while (!failure && running < this.concurrency && queue.length > 0) {
+          running++;
+          read(queue.shift());
+        }
+
+        if (ready.length > 0) {
+          yield ready.shift();
+          if (ready.length < MAX_BUFFERED_ENTRIES / 2) {
+            resumeReaders();
+          }
+          continue;
+        }
+
+        if (failure) {
+          throw failure;
+        }
+
+        if (running === 0 && queue.length === 0) {
+          return;
+        }
+
+        await new Promise(resolve => { wake = resolve; });
+      }
+    } finally {
+      // The consumer stopped early: let paused readers finish and close their downloads
+      closed = true;
+      resumeReaders();
     }
+  }
 
-    return allUrls;
+  /**
+   * Get every page entry from one or more sitemaps, following sitemap indexes
+   * @param {string|string[]} sitemapUrl - Sitemap URL, or a list of discovered sitemaps
+   * @returns {Promise<Array>} De-duplicated entries: { url, lastmod, priority, changefreq, sourceSitemap }
+   */
+  async getAllUrls(sitemapUrl) {
+    const entriesByUrl = new Map();
+    for await (const entry of this.streamAllUrls(sitemapUrl)) {
+      if (!entriesByUrl.has(entry.url)) {
+        entriesByUrl.set(entry.url, entry);
+      }
+    }
+    return Array.from(entriesByUrl.values());
   }
-}
\ No newline at end of file
+}
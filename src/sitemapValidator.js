@@ -0,0 +1,163 @@
+// Limits from the sitemaps.org protocol
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full date with time and timezone
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Keep the report small on huge sitemaps - counts are exact, examples are capped
+const MAX_EXAMPLES_PER_ISSUE = 25;
+
+const ISSUE_TYPES = {
+  too_many_urls: { severity: 'error', message: `Sitemap lists more than ${MAX_URLS_PER_SITEMAP.toLocaleString()} URLs` },
+  file_too_large: { severity: 'error', message: 'Sitemap is larger than 50MB (uncompressed)' },
+  invalid_lastmod: { severity: 'warning', message: 'lastmod is not a valid W3C Datetime' },
+  invalid_priority: { severity: 'warning', message: 'priority is outside the 0.0-1.0 range' },
+  duplicate_loc: { severity: 'warning', message: 'URL is listed more than once' },
+  host_mismatch: { severity: 'error', message: 'URL is on a different host than the sitemap' },
+  scheme_mismatch: { severity: 'error', message: 'URL uses a different scheme (http/https) than the sitemap' },
+  not_absolute: { severity: 'error', message: 'URL is not absolute' },
+  index_loop: { severity: 'warning', message: 'Sitemap index lists itself or an index above it' },
+  index_duplicate: { severity: 'warning', message: 'Sitemap is listed by more than one index (read once)' },
+  index_too_deep: { severity: 'error', message: 'Sitemap indexes are nested too deeply' }
+};
+
+/**
+ * Collects sitemaps.org protocol problems while SitemapParser reads sitemaps.
+ * The parser reports every file and every entry (before de-duplication),
+ * then getReport() summarises what was found.
+ */
+export class SitemapValidator {
+  constructor() {
+    this.sitemaps = [];
+    this.issues = {};
+    this.seenLocs = new Set();
+    this.urlCount = 0;
+  }
+
+  /**
+   * Record a sitemap file as soon as reading starts, so entry issues can be
+   * attributed to it while it is still streaming
+   * @param {Object} file - { url }
+   */
+  addSitemap(file) {
+    this.sitemaps.push({ url: file.url, type: null, bytes: 0, urlCount: 0, issueCount: 0 });
+  }
+
+  /**
+   * Fill in size and type once a sitemap file has been read completely
+   * @param {string} sitemapUrl - The sitemap file
+   * @param {Object} stats - { type: 'urlset'|'sitemapindex', bytes, urlCount }
+   */
+  completeSitemap(sitemapUrl, stats) {
+    const sitemap = this.sitemaps.find(s => s.url === sitemapUrl);
+    if (!sitemap) return;
+
+    Object.assign(sitemap, stats);
+
+    if (stats.urlCount > MAX_URLS_PER_SITEMAP) {
+      this.addIssue('too_many_urls', sitemapUrl, null, stats.urlCount.toLocaleString());
+    }
+
+    if (stats.bytes > MAX_SITEMAP_BYTES) {
+      this.addIssue('file_too_large', sitemapUrl, null, `${(stats.bytes / 1024 / 1024).toFixed(1)}MB`);
+    }
+  }
+
+  /**
+   * Check a single <url> or <sitemap> entry
+   * @param {Object} entry - Parsed entry with url, lastmod and priority
+   * @param {string} sitemapUrl - The sitemap file the entry came from
+   */
+  addEntry(entry, sitemapUrl) {
+    const loc = entry.url;
+
+    if (entry.type !== 'sitemap') {
+      this.urlCount++;
+
+      if (this.seenLocs.has(loc)) {
+        this.addIssue('duplicate_loc', sitemapUrl, loc);
+      } else {
+        this.seenLocs.add(loc);
+      }
+
+      if (entry.priority !== null && entry.priority !== undefined &&
+          (isNaN(entry.priority) || entry.priority < 0 || entry.priority > 1)) {
+        this.addIssue('invalid_priority', sitemapUrl, loc, String(entry.priority));
+      }
+    }
+
+    if (entry.lastmod && !this.isValidLastmod(entry.lastmod)) {
+      this.addIssue('invalid_lastmod', sitemapUrl, loc, entry.lastmod);
+    }
+
+    let parsedLoc;
+    try {
+      parsedLoc = new URL(loc);
+    } catch (error) {
+      this.addIssue('not_absolute', sitemapUrl, loc);
+      return;
+    }
+
+    // Uploaded or pasted sources (upload:, list:) have no host to compare against
+    let parsedSitemap;
+    try {
+      parsedSitemap = new URL(sitemapUrl);
+    } catch (error) {
+      return;
+    }
+    if (!/^https?:$/.test(parsedSitemap.protocol)) {
+      return;
+    }
+
+    if (parsedLoc.hostname !== parsedSitemap.hostname) {
+      this.addIssue('host_mismatch', sitemapUrl, loc, parsedLoc.hostname);
+    } else if (parsedLoc.protocol !== parsedSitemap.protocol) {
+      this.addIssue('scheme_mismatch', sitemapUrl, loc, parsedLoc.protocol.replace(':', ''));
+    }
+  }
+
+  isValidLastmod(lastmod) {
+    return W3C_DATETIME.test(lastmod) && !isNaN(new Date(lastmod).getTime());
+  }
+
+  addIssue(type, sitemapUrl, loc = null, value = null) {
+    if (!this.issues[type]) {
+      this.issues[type] = { type, ...ISSUE_TYPES[type], count: 0, examples: [] };
+    }
+
+    const issue = this.issues[type];
+    issue.count++;
+    if (issue.examples.length < MAX_EXAMPLES_PER_ISSUE) {
+      issue.examples.push({ sitemap: sitemapUrl, loc, value });
+    }
+
+    const sitemap = this.sitemaps.find(s => s.url === sitemapUrl);
+    if (sitemap) {
+      sitemap.issueCount++;
+    }
+  }
+
+  getReport() {
+    const issues = Object.values(this.issues).sort((a, b) => {
+      if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+      return b.count - a.count;
+    });
+
+    const errors = issues.filter(i => i.severity === 'error').reduce((sum, i) => sum + i.count, 0);
+    const warnings = issues.filter(i => i.severity === 'warning').reduce((sum, i) => sum + i.count, 0);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      valid: errors === 0,
+      totals: {
+        sitemaps: this.sitemaps.length,
+        urls: this.urlCount,
+        errors,
+        warnings
+      },
+      sitemaps: this.sitemaps,
+      issues
+    };
+  }
+}
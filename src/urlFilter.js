@@ -0,0 +1,146 @@
+const RULE_TYPES = ['glob', 'regex', 'prefix'];
+const RULE_ACTIONS = ['include', 'exclude'];
+
+/**
+ * Include/exclude rules for the URLs found in a sitemap.
+ *
+ * Rules are { action: 'include'|'exclude', type: 'glob'|'regex'|'prefix', pattern }.
+ * Glob and prefix patterns that start with "/" are matched against the path
+ * and query string (e.g. "/Brands/*", "*?utm_*"), anything else against the
+ * full URL. Regex patterns are always tested against the full URL.
+ *
+ * When there are include rules a URL has to match at least one of them;
+ * a URL matching any exclude rule is dropped.
+ */
+export class UrlFilter {
+  constructor(rules = []) {
+    this.rules = UrlFilter.normalizeRules(rules);
+    this.matchers = this.rules.map(rule => this.compile(rule));
+    this.includes = this.matchers.filter((_, i) => this.rules[i].action === 'include');
+    this.excludes = this.matchers.filter((_, i) => this.rules[i].action === 'exclude');
+  }
+
+  /**
+   * Validate rules coming from the API
+   * @param {Array} rules - Raw rules
+   * @returns {Array} Cleaned rules
+   * @throws {Error} When a rule has an unknown type/action or an invalid regex
+   */
+  static normalizeRules(rules = []) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Filters must be an array of rules');
+    }
+
+    return rules
+      .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+      .map(rule => {
+        const normalized = {
+          action: rule.action || 'exclude',
+          type: rule.type || 'glob',
+          pattern: rule.pattern.trim()
+        };
+
+        if (!RULE_ACTIONS.includes(normalized.action)) {
+          throw new Error(`Unknown filter action: ${normalized.action}`);
+        }
+        if (!RULE_TYPES.includes(normalized.type)) {
+          throw new Error(`Unknown filter type: ${normalized.type}`);
+        }
+        if (normalized.type === 'regex') {
+          try {
+            new RegExp(normalized.pattern);
+          } catch (error) {
+            throw new Error(`Invalid regex "${normalized.pattern}": ${error.message}`);
+          }
+        }
+
+        return normalized;
+      });
+  }
+
+  compile(rule) {
+    if (rule.type === 'regex') {
+      const regex = new RegExp(rule.pattern);
+      return (url) => regex.test(url);
+    }
+
+    const pathOnly = rule.pattern.startsWith('/');
+
+    if (rule.type === 'prefix') {
+      // "/Brands/*" and "/Brands/" mean the same thing
+      const prefix = rule.pattern.replace(/\*+$/, '');
+      return (url) => this.getTarget(url, pathOnly).startsWith(prefix);
+    }
+
+    const source = rule.pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return (url) => regex.test(this.getTarget(url, pathOnly));
+  }
+
+  getTarget(url, pathOnly) {
+    if (!pathOnly) return url;
+
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname + parsed.search;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  get hasRules() {
+    return this.rules.length > 0;
+  }
+
+  isAllowed(url) {
+    if (this.includes.length > 0 && !this.includes.some(matches => matches(url))) {
+      return false;
+    }
+    return !this.excludes.some(matches => matches(url));
+  }
+
+  /**
+   * Keep only the URLs the rules allow
+   * @param {string[]} urls - URLs from the sitemap
+   * @returns {string[]} Allowed URLs, in their original order
+   */
+  apply(urls) {
+    if (!this.hasRules) return urls;
+    return urls.filter(url => this.isAllowed(url));
+  }
+
+  /**
+   * Count what each rule does to a list of URLs
+   * @param {string[]} urls - URLs from the sitemap
+   * @returns {Object} { total, kept, removed, notIncluded, rules: [{ ...rule, matched, removed }] }
+   */
+  preview(urls) {
+    const included = this.includes.length > 0
+      ? urls.filter(url => this.includes.some(matches => matches(url)))
+      : urls;
+
+    const rules = this.rules.map((rule, i) => {
+      const matches = this.matchers[i];
+      if (rule.action === 'include') {
+        return { ...rule, matched: urls.filter(url => matches(url)).length, removed: null };
+      }
+      // Exclude rules are counted against what the include rules let through;
+      // a URL matched by two exclude rules counts for both
+      const removed = included.filter(url => matches(url)).length;
+      return { ...rule, matched: urls.filter(url => matches(url)).length, removed };
+    });
+
+    const kept = this.apply(urls).length;
+
+    return {
+      total: urls.length,
+      kept,
+      removed: urls.length - kept,
+      notIncluded: urls.length - included.length,
+      rules
+    };
+  }
+}
@@ -1,344 +1,168 @@
 import axios from 'axios';
+import http from 'http';
+import https from 'https';
+import { performance } from 'perf_hooks';
 import * as cheerio from 'cheerio';
-import puppeteer from 'puppeteer-core';
-import fs from 'fs';
+import { browserService } from './browserService.js';
+import { HostScheduler } from './hostScheduler.js';
+import { RobotsTxt } from './robotsTxt.js';
+import { ResourceBlocker } from './resourceBlocker.js';
+import { PerformanceMeter } from './performanceMeter.js';
+import { createPlatformAdapter } from './platforms/index.js';
+
+// Responses worth retrying: the server is busy or briefly broken, not refusing the page
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+// Puppeteer only gives us messages, e.g. "Navigation timeout of 10000 ms exceeded" or "net::ERR_CONNECTION_RESET"
+const TRANSIENT_ERROR_PATTERN = /timeout|timed out|socket hang up|ERR_CONNECTION_(RESET|CLOSED|REFUSED)|ERR_EMPTY_RESPONSE|ERR_NETWORK_CHANGED/i;
+
+// Rendered pages count as ready once the DOM has been quiet this long, or after the max wait
+const DOM_QUIET_MS = 300;
+const READY_MAX_WAIT_MS = 5000;
+
+// Profiles for the mobile/desktop parity audit, as Google's crawlers present themselves
+const DEVICE_PROFILES = {
+  mobile: {
+    userAgent: 'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.129 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    viewport: { width: 412, height: 732, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true }
+  },
+  desktop: {
+    userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/120.0.6099.129 Safari/537.36',
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+  }
+};
+
+// Throttled performance loads get this many times the normal navigation timeout
+const PERFORMANCE_TIMEOUT_FACTOR = 3;
+
+// Screenshots: JPEG quality, and full-page captures are cut off at this height (px)
+const SCREENSHOT_QUALITY = 70;
+const MAX_FULL_PAGE_HEIGHT = 10000;
+
+// Redirect hops followed before giving up (browsers allow 20, crawlers usually 5-10)
+const MAX_REDIRECTS = 10;
 
 export class WebCrawler {
   constructor(options = {}) {
-    this.delayMs = options.delay || 1000;
+    // requestsPerSecond (per host) replaces the old fixed delay between requests
+    this.requestsPerSecond = options.requestsPerSecond || (1000 / (options.delay || 1000));
+    this.delayMs = 1000 / this.requestsPerSecond;
+    this.concurrency = options.concurrency || 4;
+    this.perHostConcurrency = options.perHostConcurrency || 2;
     this.timeout = options.timeout || 10000;
+    // Retries for transient failures (429, 503, timeouts...), with exponential backoff and jitter
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    // A Retry-After longer than this isn't waited for; the URL is reported as a transient failure
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
     this.userAgent = options.userAgent || 'SEO-Checker-Bot/1.0';
     this.usePuppeteer = options.usePuppeteer || false;
-    this.browser = null;
-    this.mboSessionToken = null;
-    this.mboShopId = 'yxve46fvrnud'; // Could be made configurable
+    // URLs disallowed by robots.txt are skipped; with ignoreRobots they're fetched anyway and flagged
+    this.ignoreRobots = options.ignoreRobots || false;
+    this.robotsCache = new Map();
+    // Optional HttpCache: conditional requests, and pages that haven't changed reuse their last analysis
+    this.httpCache = options.httpCache || null;
+    // Pages come from the shared browser unless a crawl brings its own BrowserService
+    this.browserService = options.browserService || browserService;
+    // Request interception rules for rendered pages (images, fonts, trackers...)
+    this.resourceBlocker = options.resourceBlocker || new ResourceBlocker(options.resourceRules);
+    // Audit mode: fetch raw HTML as well as the rendered DOM so MetaExtractor can compare them
+    this.compareRendering = options.compareRendering || false;
+    // Parity audit: render every page as smartphone and desktop Googlebot so MetaExtractor can compare them
+    this.compareDevices = options.compareDevices || false;
+    // Optional lab performance pass: one extra throttled mobile load per rendered page
+    this.performanceMeter = options.performanceMeter || (options.measurePerformance ? new PerformanceMeter() : null);
+    // Optional ScreenshotStore: desktop and mobile captures of every rendered page. Those loads
+    // keep images and fonts (trackers stay blocked), so the screenshots look like the real page.
+    this.screenshotStore = options.screenshotStore || null;
+    this.screenshotBlocker = new ResourceBlocker({ ...this.resourceBlocker.rules, blockResourceTypes: [] });
+    // Blocks nothing; on pages that load everything it only adds the SiteAuth headers
+    this.authHeaderBlocker = new ResourceBlocker({ enabled: false });
+    // Shop system specifics: session detection, object IDs, admin links (see src/platforms)
+    this.platform = options.platform || createPlatformAdapter();
+    this.sessionToken = null;
+    // Optional SiteAuth: basic auth, headers, cookies and a scripted login for protected sites
+    this.auth = options.auth || null;
+    this.loginPromise = null;
+    // Set by stop(); crawlUrls then starts no new pages
+    this.stopped = false;
+    this.scheduler = null;
   }
 
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Pages of a crawl with credentials get their own browser context, so the
+  // session cookies never reach rescans or the AI service on the same host
+  get pageOptions() {
+    return { isolated: !!this.auth?.isConfigured };
   }
 
-  findChromeExecutable() {
-    const possiblePaths = [
-      // macOS
-      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-      '/Applications/Chromium.app/Contents/MacOS/Chromium',
-      '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
-      // Windows
-      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-      'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
-      // Linux
-      '/usr/bin/google-chrome',
-      '/usr/bin/chromium-browser',
-      '/usr/bin/chromium',
-      '/snap/bin/chromium'
-    ];
-
-    for (const path of possiblePaths) {
-      try {
-        if (fs.existsSync(path)) {
-          return path;
-        }
-      } catch (error) {
-        // Continue to next path
-      }
-    }
-
-    return null;
-  }
-
-  async initializePuppeteer() {
-    if (!this.browser) {
-      const executablePath = this.findChromeExecutable();
-
-      if (!executablePath) {
-        throw new Error(
-          'Chrome/Chromium not found. Please install Google Chrome or Chromium browser.\n' +
-          'Alternative: Install full puppeteer package with: npm install puppeteer'
-        );
-      }
-
-
-      this.browser = await puppeteer.launch({
-        executablePath,
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor'
-        ]
-      });
-    }
-  }
-
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async detectMboSession(baseUrl) {
+  /**
+   * Look for a back office session with the platform adapter, so crawled
+   * pages can link to their edit screen (see PlatformAdapter.getAdminUrl)
+   */
+  async detectSession(baseUrl) {
+    let page = null;
     try {
-      await this.initializePuppeteer();
-      const page = await this.browser.newPage();
-
-      const adminUrl = `${baseUrl}/epages/${this.mboShopId}.admin`;
-      const storefrontUrl = `${baseUrl}/epages/${this.mboShopId}.sf`;
-
-      // Try admin MBO session first
-      try {
-        await page.goto(adminUrl, { waitUntil: 'networkidle2', timeout: 8000 });
-
-        // Check if we're authenticated (not on login page)
-        const sessionInfo = await page.evaluate(() => {
-          const isLogin = window.location.href.includes('login') ||
-                         document.querySelector('input[name="password"]') ||
-                         document.querySelector('form[action*="login"]');
-
-          const isAuthenticated = !isLogin &&
-                                (window.location.href.includes('.admin') ||
-                                 window.location.href.includes('mbo') ||
-                                 document.querySelector('[data-testid="mbo"]') ||
-                                 document.querySelector('.mbo-header') ||
-                                 document.title.toLowerCase().includes('mbo'));
-
-          return {
-            isAuthenticated,
-            currentUrl: window.location.href,
-            title: document.title,
-            hasPasswordField: !!document.querySelector('input[name="password"]')
-          };
-        });
-
-
-        if (sessionInfo.isAuthenticated) {
-          // Try multiple methods to find the security token
-          let token = null;
-
-          // Method 1: Extract from URL path (e.g., /admin/sec[TOKEN]/)
-          const pathSecMatch = sessionInfo.currentUrl.match(/\.admin\/sec([a-z0-9]+)\//i);
-          if (pathSecMatch) {
-            token = pathSecMatch[1];
-            console.log('✓ Found MBO token in URL path:', token);
-          }
-
-          // Method 2: Extract from URL parameters
-          if (!token) {
-            const secMatch = sessionInfo.currentUrl.match(/[?&]sec=([^&]+)/);
-            if (secMatch) {
-              token = secMatch[1];
-              console.log('✓ Found MBO token in URL params:', token);
-            }
-          }
-
-          // Method 3: Look for token in page content or localStorage
-          if (!token) {
-            token = await page.evaluate(() => {
-              // Check localStorage
-              try {
-                const storedToken = localStorage.getItem('mbo_token') ||
-                                  localStorage.getItem('security_token') ||
-                                  localStorage.getItem('sec');
-                if (storedToken) return storedToken;
-              } catch (e) {}
-
-              // Check for token in page content
-              try {
-                const bodyText = document.body.innerText;
-                const tokenMatch = bodyText.match(/sec[=:]\s*([a-zA-Z0-9]{20,})/);
-                if (tokenMatch) return tokenMatch[1];
-              } catch (e) {}
-
-              // Check for token in any form inputs
-              try {
-                const secInput = document.querySelector('input[name*="sec"], input[id*="sec"]');
-                if (secInput && secInput.value) return secInput.value;
-              } catch (e) {}
-
-              // Check for token in any links on the page
-              try {
-                const links = Array.from(document.querySelectorAll('a[href*="/sec"]'));
-                for (const link of links) {
-                  const match = link.href.match(/\/sec([a-z0-9]+)\//i);
-                  if (match) return match[1];
-                }
-              } catch (e) {}
-
-              return null;
-            });
-            if (token) {
-              console.log('✓ Found MBO token in page content:', token);
-            }
-          }
-
-          // Method 4: Navigate to a typical MBO page to get the token
-          if (!token) {
-            try {
-              await page.goto(`${baseUrl}/epages/${this.mboShopId}.admin/`, { waitUntil: 'networkidle2', timeout: 5000 });
-              const dashboardUrl = page.url();
-
-              // Check URL path first
-              const pathMatch = dashboardUrl.match(/\.admin\/sec([a-z0-9]+)\//i);
-              if (pathMatch) {
-                token = pathMatch[1];
-                console.log('✓ Found MBO token in dashboard URL path:', token);
-              } else {
-                // Check query params
-                const dashboardSecMatch = dashboardUrl.match(/[?&]sec=([^&]+)/);
-                if (dashboardSecMatch) {
-                  token = dashboardSecMatch[1];
-                  console.log('✓ Found MBO token in dashboard URL params:', token);
-                }
-              }
-            } catch (e) {
-              console.log('✗ Could not navigate to dashboard:', e.message);
-            }
-          }
-
-          if (token) {
-            this.mboSessionToken = token;
-            await page.close();
-            return {
-              hasSession: true,
-              sessionType: 'admin',
-              token: this.mboSessionToken,
-              url: adminUrl,
-              detectedAt: new Date().toISOString()
-            };
-          } else {
-          }
-        } else {
-        }
-      } catch (error) {
+      page = await this.browserService.acquirePage(this.pageOptions);
+      if (this.auth) {
+        await this.auth.preparePage(page, baseUrl);
+        await this.authHeaderBlocker.attach(page, this.auth);
       }
-
-      // Try storefront session as fallback (won't have sec token but confirms ePages)
-      try {
-        await page.goto(storefrontUrl, { waitUntil: 'networkidle2', timeout: 5000 });
-        const isStorefront = await page.evaluate(() => {
-          return window.location.href.includes('.sf') &&
-                 !window.location.href.includes('login') &&
-                 (window.ewindow?.epConfig || document.querySelector('[data-epages]'));
-        });
-
-        if (isStorefront) {
-          await page.close();
-          return {
-            hasSession: true,
-            sessionType: 'storefront',
-            token: null,
-            url: storefrontUrl,
-            detectedAt: new Date().toISOString()
-          };
-        }
-      } catch (error) {
-      }
-
-      await page.close();
-      return { hasSession: false, sessionType: null, token: null, url: null };
-
+      const session = await this.platform.detectSession(page, baseUrl);
+      this.sessionToken = session.token || null;
+      return session;
     } catch (error) {
-      console.error('❌ Error detecting MBO session:', error);
+      console.error('❌ Error detecting back office session:', error);
       return { hasSession: false, sessionType: null, token: null, url: null };
+    } finally {
+      if (page) {
+        await this.browserService.releasePage(page);
+      }
     }
   }
 
-  async fetchPageWithPuppeteer(url) {
+  /**
+   * Render a page in the shared browser
+   * @param {string} url - Page to render
+   * @param {Object} device - Entry of DEVICE_PROFILES to emulate, or null for the crawler's own user agent
+   */
+  async fetchPageWithPuppeteer(url, device = null) {
+    let page = null;
+    let broken = false;
     try {
-      await this.initializePuppeteer();
-      const page = await this.browser.newPage();
-
-      await page.setUserAgent(this.userAgent);
-      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: this.timeout });
-
-      // Wait for ePages data layer to load (try multiple times)
-      let dataLayerInfo = null;
-
-      for (let attempt = 1; attempt <= 5; attempt++) {
-
-        dataLayerInfo = await page.evaluate(() => {
-          // Debug: Log what's available
-          const hasEpConfig = !!window.epConfig;
-
-          if (hasEpConfig) {
-          }
-
-          return hasEpConfig;
-        });
+      page = await this.browserService.acquirePage(this.pageOptions);
 
-        if (dataLayerInfo) {
-          break;
-        }
-
-        // Wait 2 seconds before next attempt
-        await page.waitForTimeout(2000);
+      if (device) {
+        await page.setUserAgent(device.userAgent);
+        await page.setViewport(device.viewport);
+      } else {
+        await page.setUserAgent(this.userAgent);
       }
-
-      // Wait for meta description tag to be present in the DOM
-      console.log(`⏳ Waiting for meta description tag on ${url}...`);
-      try {
-        await page.waitForSelector('meta[name="description"]', { timeout: 5000 });
-        console.log(`✅ Meta description tag found`);
-      } catch (e) {
-        console.log(`⚠️ Meta description tag not found after 5s, continuing anyway...`);
+      if (this.auth) {
+        await this.auth.preparePage(page, url);
       }
+      const blocked = await this.resourceBlocker.attach(page, this.auth);
 
-      // Give any dynamic content a bit more time to settle
-      await page.waitForTimeout(1000);
+      // With images and trackers aborted the load event comes early; waitForReady covers late scripts
+      const response = await page.goto(url, { waitUntil: 'load', timeout: this.timeout });
+      const redirectChain = response ? this.getRedirectChain(response) : [];
 
-      // Now extract the actual data
-      dataLayerInfo = await page.evaluate(() => {
-        try {
-          // Debug: Log what's available
-
-          let objectId = null;
-          let hasDataLayer = false;
-          let debugInfo = {};
-
-          // Check for window.epConfig (correct path)
-          if (window.epConfig) {
-            hasDataLayer = true;
-            objectId = window.epConfig.objectId || null;
-            debugInfo.foundEpConfig = true;
-            debugInfo.objectId = objectId;
-            debugInfo.epConfigKeys = Object.keys(window.epConfig || {});
-            debugInfo.fullEpConfig = window.epConfig; // Include full config for debugging
-          } else {
-            // Fallback: look for the data in script tags or other locations
-            debugInfo.foundEpConfig = false;
-            debugInfo.windowKeys = Object.keys(window);
-
-            // Check if there's a script tag with the data
-            const scripts = document.querySelectorAll('script');
-            for (const script of scripts) {
-              if (script.innerHTML.includes('objectId') && script.innerHTML.includes('epConfig')) {
-                debugInfo.foundInScript = true;
-                break;
-              }
-            }
-          }
+      const readiness = await this.waitForReady(page);
+      console.log(`⏳ ${url} ready after ${readiness.waitedMs}ms (${readiness.reason}), ${blocked.total} requests blocked`);
 
-          return {
-            objectId,
-            hasDataLayer,
-            debugInfo
-          };
-        } catch (error) {
-          return {
-            objectId: null,
-            hasDataLayer: false,
-            error: error.message,
-            debugInfo: { error: error.message }
-          };
-        }
-      });
+      // Now extract the actual data
+      const dataLayerInfo = await this.platform.extractObjectId(page);
 
       const html = await page.content();
 
+      const navigation = await page.evaluate(() => {
+        const entry = performance.getEntriesByType('navigation')[0];
+        return entry ? entry.toJSON() : null;
+      });
+
       // Log HTML info for debugging
       console.log(`📄 HTML fetched: ${html.length} bytes`);
 
@@ -376,123 +200,892 @@ export class WebCrawler {
           .trim();
       });
 
-      await page.close();
+      // Text as laid out for this viewport: innerText of the live body skips display:none
+      const visibleText = device ? await page.evaluate(() => document.body?.innerText || '') : undefined;
 
       return {
         url,
         html,
         bodyText,
+        visibleText,
         status: response ? response.status() : 200,
         contentType: response ? response.headers()['content-type'] : 'text/html',
+        retryAfter: response ? response.headers()['retry-after'] || null : null,
+        finalUrl: response ? response.url() : url,
+        redirectChain,
+        headers: response ? this.cleanHeaders(response.headers()) : null,
+        timings: navigation ? this.getNavigationTimings(navigation) : null,
+        bytes: navigation ? { transferred: navigation.encodedBodySize, uncompressed: navigation.decodedBodySize } : null,
+        blockedRequests: blocked.total > 0 ? { ...blocked } : null,
         success: true,
         dataLayer: dataLayerInfo
       };
     } catch (error) {
+      // A tab that timed out mid-navigation isn't worth reusing
+      broken = true;
+
       return {
         url,
         html: null,
         status: null,
         error: error.message,
+        // Chrome reports loops (and chains over 20 hops) only as this error
+        redirectLoop: /ERR_TOO_MANY_REDIRECTS/.test(error.message),
         success: false,
         dataLayer: { objectId: null, hasDataLayer: false }
       };
+    } finally {
+      if (page) {
+        await this.browserService.releasePage(page, { broken });
+      }
     }
   }
 
-  async fetchPage(url) {
-    if (this.usePuppeteer) {
-      return await this.fetchPageWithPuppeteer(url);
+  /**
+   * Wait until the page has settled: the platform's data layer is there (when
+   * the page uses one) and the DOM has stopped changing for a moment. Replaces the
+   * old fixed sleeps; a static page is ready almost immediately.
+   * @returns {Promise<Object>} { waitedMs, reason: 'quiet' | 'max-wait' }
+   */
+  async waitForReady(page) {
+    const startedAt = Date.now();
+
+    await this.platform.waitForData(page, READY_MAX_WAIT_MS);
+
+    const remainingMs = Math.max(DOM_QUIET_MS, READY_MAX_WAIT_MS - (Date.now() - startedAt));
+    const reason = await page.evaluate((quietMs, maxMs) => new Promise(resolve => {
+      let quietTimer = null;
+      let maxTimer = null;
+      const observer = new MutationObserver(() => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(() => done('quiet'), quietMs);
+      });
+      const done = (why) => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve(why);
+      };
+      // Attribute changes only count for tags we read; sliders and animations would never go quiet
+      observer.observe(document, {
+        subtree: true,
+        childList: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['content', 'href', 'rel', 'name', 'hreflang']
+      });
+      quietTimer = setTimeout(() => done('quiet'), quietMs);
+      maxTimer = setTimeout(() => done('max-wait'), maxMs);
+    }), DOM_QUIET_MS, remainingMs).catch(() => 'max-wait');
+
+    return { waitedMs: Date.now() - startedAt, reason };
+  }
+
+  /**
+   * Same shape as the axios timings, from the page's Navigation Timing entry
+   */
+  getNavigationTimings(entry) {
+    const round = (ms) => Math.max(0, Math.round(ms));
+    return {
+      dns: round(entry.domainLookupEnd - entry.domainLookupStart),
+      connect: round(entry.connectEnd - entry.connectStart),
+      tls: entry.secureConnectionStart > 0 ? round(entry.connectEnd - entry.secureConnectionStart) : 0,
+      ttfb: round(entry.responseStart - entry.fetchStart),
+      download: round(entry.responseEnd - entry.responseStart),
+      total: round(entry.responseEnd - entry.fetchStart)
+    };
+  }
+
+  /**
+   * Response headers as stored with results. Set-Cookie is dropped so
+   * session cookies don't end up in scan files.
+   */
+  cleanHeaders(headers) {
+    const { 'set-cookie': _setCookie, ...rest } = headers || {};
+    return rest;
+  }
+
+  /**
+   * axios transport that records connection timings, the response headers as
+   * sent (axios removes Content-Encoding when it inflates a body) and the
+   * number of body bytes on the wire
+   * @param {Object} capture - Filled in with { headers, bytes, timings }
+   */
+  createTimingTransport(capture) {
+    return {
+      request: (options, callback) => {
+        const transport = options.protocol === 'https:' ? https : http;
+        const start = performance.now();
+        const elapsed = () => performance.now() - start;
+        const marks = {};
+
+        const req = transport.request(options, (res) => {
+          marks.response = elapsed();
+          capture.headers = { ...res.headers };
+          capture.bytes = 0;
+
+          callback(res);
+
+          // axios has piped the response by now, so listening doesn't change how it flows
+          res.on('data', (chunk) => { capture.bytes += chunk.length; });
+          res.once('end', () => {
+            marks.end = elapsed();
+            capture.timings = this.getSocketTimings(marks);
+          });
+        });
+
+        req.once('socket', (socket) => {
+          // A kept-alive socket is already connected: no DNS or connect time
+          if (!socket.connecting) return;
+          socket.once('lookup', () => { marks.lookup = elapsed(); });
+          socket.once('connect', () => { marks.connect = elapsed(); });
+          socket.once('secureConnect', () => { marks.secureConnect = elapsed(); });
+        });
+
+        return req;
+      }
+    };
+  }
+
+  getSocketTimings(marks) {
+    const round = (ms) => (ms === null ? null : Math.round(ms));
+    const connected = marks.secureConnect ?? marks.connect;
+
+    return {
+      dns: round(marks.lookup ?? null),
+      connect: round(marks.connect !== undefined ? marks.connect - (marks.lookup ?? 0) : null),
+      tls: round(marks.secureConnect !== undefined ? marks.secureConnect - marks.connect : null),
+      ttfb: round(marks.response),
+      download: round(marks.end - marks.response),
+      total: round(marks.end),
+      reusedConnection: connected === undefined
+    };
+  }
+
+  /**
+   * Hops Chrome followed before the final response
+   * @param {HTTPResponse} response - Puppeteer response from page.goto
+   * @returns {Array} [{ url, status, location }]
+   */
+  getRedirectChain(response) {
+    return response.request().redirectChain().map(request => {
+      const hop = request.response();
+      const location = hop?.headers().location;
+      let nextUrl = location || null;
+      try {
+        nextUrl = location ? new URL(location, request.url()).href : null;
+      } catch (error) {
+        // Keep the raw Location header
+      }
+      return { url: request.url(), status: hop ? hop.status() : null, location: nextUrl };
+    });
+  }
+
+  /**
+   * Run the scripted login once per crawler; every fetch waits for it. A
+   * failed login fails the fetches instead of crawling the login page.
+   */
+  async ensureLoggedIn() {
+    if (!this.auth?.config.login) return;
+
+    if (!this.loginPromise) {
+      this.loginPromise = this.browserService.withPage(async (page) => {
+        await this.authHeaderBlocker.attach(page, this.auth);
+        return this.auth.login(page, this.timeout);
+      }, this.pageOptions)
+        .then(session => {
+          console.log(`🔑 Logged in at ${this.auth.config.login.url} (${session.cookies} cookies)`);
+          return session;
+        });
     }
+    await this.loginPromise;
+  }
 
-    // Fallback to axios for basic HTML fetching
+  /**
+   * Fetch a page, retrying transient failures. Every result gets the number
+   * of attempts; failures also get failureType 'transient' (worth trying
+   * again later) or 'permanent'.
+   * @param {string} url - Page to fetch
+   * @returns {Promise<Object>} Fetch result
+   */
+  async fetchPage(url) {
     try {
-      const response = await axios.get(url, {
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive'
-        }
-      });
-
+      await this.ensureLoggedIn();
+    } catch (error) {
       return {
         url,
-        html: response.data,
-        status: response.status,
-        contentType: response.headers['content-type'],
-        success: true,
+        html: null,
+        status: null,
+        error: `Login failed: ${error.message}`,
+        success: false,
+        attempts: 1,
+        failureType: 'permanent',
         dataLayer: { objectId: null, hasDataLayer: false }
       };
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.fetchPageOnce(url);
+      result.attempts = attempt;
+
+      const transient = this.isTransientFailure(result);
+      if (result.success && !transient) {
+        return result;
+      }
+
+      const retryDelay = this.getRetryDelay(attempt, result.retryAfter);
+      if (transient && attempt <= this.maxRetries && retryDelay !== null) {
+        console.log(`🔁 ${url} failed (${result.status || result.error}), retrying in ${(retryDelay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${this.maxRetries + 1})`);
+        await this.delay(retryDelay);
+        continue;
+      }
+
+      // Puppeteer "succeeds" on a 503 page; once out of retries it counts as a failed fetch
+      if (result.success) {
+        result.success = false;
+        result.html = null;
+        result.error = `HTTP ${result.status}`;
+      }
+      result.failureType = transient ? 'transient' : 'permanent';
+      return result;
+    }
+  }
+
+  async fetchPageOnce(url) {
+    if (!this.httpCache && !this.compareRendering) {
+      return this.rendersPages ? this.renderPage(url) : this.fetchPageWithAxios(url);
+    }
+
+    // Nothing stored to check against: a rendered crawl goes straight to the
+    // browser rather than requesting the page twice. Rendered HTML differs
+    // between visits, so no content hash is kept until the next scan's GET.
+    if (this.rendersPages && !this.compareRendering && !this.httpCache.canValidate(url)) {
+      const rendered = await this.renderPage(url);
+      rendered.contentHash = null;
+      return rendered;
+    }
+
+    // A plain (conditional) GET first: it's the raw HTML for the rendering
+    // comparison, and a 304 or byte-identical HTML means the stored analysis
+    // still applies and the browser render can be skipped
+    const check = await this.fetchPageWithAxios(url);
+    if (!check.success) {
+      return check;
+    }
+
+    if (this.httpCache && !check.notModified) {
+      check.contentHash = this.httpCache.hash(check.html);
+      check.notModified = this.httpCache.hasContent(url, check.contentHash);
+    }
+
+    if (check.notModified) {
+      // Not rendered, so the stored screenshots are the current ones
+      if (this.screenshotStore) {
+        check.screenshots = await this.screenshotStore.touch(url);
+      }
+      return check;
+    }
+
+    if (!this.rendersPages && !this.compareRendering) {
+      return check;
+    }
+
+    // Rendered HTML differs between visits, so change detection uses the raw HTML hash
+    const rendered = await this.renderPage(url);
+    rendered.contentHash = check.contentHash;
+    if (this.compareRendering) {
+      rendered.rawHtml = check.html;
+    }
+    return rendered;
+  }
+
+  // The parity audit, the performance pass and screenshots need a browser even without usePuppeteer
+  get rendersPages() {
+    return this.usePuppeteer || this.compareDevices || !!this.performanceMeter || !!this.screenshotStore;
+  }
+
+  /**
+   * Browser render of a page. In the parity audit the smartphone render is
+   * the result (Google indexes mobile first) and the desktop render rides
+   * along as result.desktop for MetaExtractor.addDeviceComparison. With a
+   * performanceMeter the lab metrics are added as result.performance, with a
+   * screenshotStore the stored capture set as result.screenshots.
+   */
+  async renderPage(url) {
+    const result = await this.fetchPageWithPuppeteer(url, this.compareDevices ? DEVICE_PROFILES.mobile : null);
+    if (!result.success) {
+      return result;
+    }
+
+    if (this.compareDevices) {
+      const desktop = await this.fetchPageWithPuppeteer(url, DEVICE_PROFILES.desktop);
+      result.device = 'mobile';
+      result.desktop = desktop.success
+        ? { html: desktop.html, visibleText: desktop.visibleText, finalUrl: desktop.finalUrl, status: desktop.status }
+        : { error: desktop.error };
+    }
+
+    if (this.performanceMeter) {
+      result.performance = await this.measurePerformance(url);
+    }
+    if (this.screenshotStore) {
+      result.screenshots = await this.captureScreenshots(url);
+    }
+    return result;
+  }
+
+  /**
+   * Above-the-fold and full-page screenshots at the desktop and smartphone
+   * profiles, saved to the screenshotStore
+   * @returns {Promise<Object>} Capture set from ScreenshotStore.save, or { error }
+   */
+  async captureScreenshots(url) {
+    const images = {};
+    const fingerprints = {};
+    try {
+      for (const [device, profile] of Object.entries(DEVICE_PROFILES)) {
+        await this.browserService.withPage(async (page) => {
+          await page.setUserAgent(profile.userAgent);
+          // CSS pixels are enough for review thumbnails
+          await page.setViewport({ ...profile.viewport, deviceScaleFactor: 1 });
+          if (this.auth) {
+            await this.auth.preparePage(page, url);
+          }
+          await this.screenshotBlocker.attach(page, this.auth);
+
+          await page.goto(url, { waitUntil: 'load', timeout: this.timeout });
+          await this.waitForReady(page);
+
+          images[`${device}-fold`] = await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY });
+          const height = await page.evaluate(() => document.documentElement.scrollHeight);
+          images[`${device}-full`] = await page.screenshot({
+            type: 'jpeg',
+            quality: SCREENSHOT_QUALITY,
+            clip: { x: 0, y: 0, width: profile.viewport.width, height: Math.min(Math.max(height, 1), MAX_FULL_PAGE_HEIGHT) },
+            captureBeyondViewport: true
+          });
+
+          Object.assign(fingerprints, await this.getScreenshotFingerprints(page, {
+            [`${device}-fold`]: images[`${device}-fold`],
+            [`${device}-full`]: images[`${device}-full`]
+          }));
+        }, this.pageOptions);
+      }
+
+      return await this.screenshotStore.save(url, images, fingerprints);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Difference hash of each screenshot, so a rotating banner or a timestamp
+   * doesn't count as a new capture (see ScreenshotStore.save): shrunk to
+   * 17x16 greyscale by the browser, one bit per pixel that is brighter than
+   * its right neighbour.
+   * @param {Page} page - Page the screenshots were taken with
+   * @param {Object} images - { name: Buffer }
+   * @returns {Promise<Object>} { name: 64 hex digits }, or {} when the browser couldn't decode them
+   */
+  async getScreenshotFingerprints(page, images) {
+    const encoded = Object.fromEntries(Object.entries(images).map(([name, buffer]) => [name, buffer.toString('base64')]));
+    try {
+      // A blank page, so the site's CSP can't refuse the data: URLs
+      await page.goto('about:blank', { timeout: this.timeout });
+      return await page.evaluate(async (images) => {
+        const fingerprints = {};
+        for (const [name, base64] of Object.entries(images)) {
+          const image = new Image();
+          image.src = `data:image/jpeg;base64,${base64}`;
+          await image.decode();
+
+          const canvas = document.createElement('canvas');
+          canvas.width = 17;
+          canvas.height = 16;
+          const context = canvas.getContext('2d');
+          context.imageSmoothingQuality = 'high';
+          context.drawImage(image, 0, 0, 17, 16);
+          const { data } = context.getImageData(0, 0, 17, 16);
+          const grey = (x, y) => {
+            const i = (y * 17 + x) * 4;
+            return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+          };
+
+          let hex = '';
+          for (let y = 0; y < 16; y++) {
+            for (let x = 0; x < 16; x += 4) {
+              let nibble = 0;
+              for (let bit = 0; bit < 4; bit++) {
+                nibble = (nibble << 1) | (grey(x + bit, y) > grey(x + bit + 1, y) ? 1 : 0);
+              }
+              hex += nibble.toString(16);
+            }
+          }
+          fingerprints[name] = hex;
+        }
+        return fingerprints;
+      }, encoded);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Separate load of the page under a throttled mobile profile. Resources
+   * aren't blocked here, so images count towards LCP and transfer size.
+   * @returns {Promise<Object>} Metrics from PerformanceMeter.measure, or { error }
+   */
+  async measurePerformance(url) {
+    let page = null;
+    try {
+      page = await this.browserService.acquirePage(this.pageOptions);
+      await page.setUserAgent(DEVICE_PROFILES.mobile.userAgent);
+      await page.setViewport(DEVICE_PROFILES.mobile.viewport);
+      if (this.auth) {
+        await this.auth.preparePage(page, url);
+        await this.authHeaderBlocker.attach(page, this.auth);
+      }
+
+      const performance = await this.performanceMeter.measure(page, url, this.timeout * PERFORMANCE_TIMEOUT_FACTOR);
+      console.log(`🏎️  ${url}: LCP ${performance.lcp}ms, CLS ${performance.cls}, TBT ${performance.tbt}ms, ${performance.requests} requests`);
+      return performance;
+    } catch (error) {
+      return { error: error.message };
+    } finally {
+      // Throttling and the observer script stay with the tab, so it isn't reused
+      if (page) {
+        await this.browserService.releasePage(page, { broken: true });
+      }
+    }
+  }
+
+  isTransientFailure(result) {
+    if (result.status) {
+      return TRANSIENT_STATUSES.includes(result.status);
+    }
+    if (result.success) {
+      return false;
+    }
+    return TRANSIENT_ERROR_CODES.includes(result.errorCode) || TRANSIENT_ERROR_PATTERN.test(result.error || '');
+  }
+
+  /**
+   * How long to wait before the next attempt: the server's Retry-After
+   * (seconds or an HTTP date) when it sent one, otherwise exponential backoff
+   * with jitter so parallel workers don't retry in lockstep.
+   * @returns {number|null} Milliseconds, or null when Retry-After asks for longer than maxRetryDelay
+   */
+  getRetryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = !isNaN(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (!isNaN(ms)) {
+        return ms > this.maxRetryDelay ? null : Math.max(0, ms);
+      }
+    }
+
+    const backoff = this.retryBaseDelay * 2 ** (attempt - 1);
+    return Math.min(this.maxRetryDelay, backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Plain HTTP fetch. Redirects are followed by hand so every hop ends up in
+   * redirectChain and loops are caught.
+   */
+  async fetchPageWithAxios(url) {
+    const redirectChain = [];
+    let currentUrl = url;
+
+    try {
+      for (;;) {
+        const capture = {};
+        const response = await axios.get(currentUrl, {
+          timeout: this.timeout,
+          maxRedirects: 0,
+          transport: this.createTimingTransport(capture),
+          validateStatus: status => status >= 200 && status < 400,
+          headers: {
+            'User-Agent': this.userAgent,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Connection': 'keep-alive',
+            ...(this.httpCache ? this.httpCache.getConditionalHeaders(url, currentUrl) : {}),
+            ...(this.auth ? this.auth.getRequestHeaders(currentUrl) : {})
+          }
+        });
+        this.auth?.storeCookies(currentUrl, response.headers['set-cookie']);
+
+        if (response.status === 304) {
+          return {
+            url,
+            html: null,
+            status: 304,
+            notModified: true,
+            finalUrl: currentUrl,
+            redirectChain,
+            headers: this.cleanHeaders(capture.headers || response.headers),
+            timings: capture.timings || null,
+            bytes: null,
+            success: true,
+            dataLayer: { objectId: null, hasDataLayer: false }
+          };
+        }
+
+        const location = response.headers.location;
+        if (response.status >= 300 && location) {
+          const nextUrl = new URL(location, currentUrl).href;
+          redirectChain.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+          if (redirectChain.some(hop => hop.url === nextUrl)) {
+            const path = [...redirectChain.map(hop => hop.url), nextUrl].join(' → ');
+            return this.createRedirectFailure(url, redirectChain, `Redirect loop: ${path}`, true);
+          }
+          if (redirectChain.length > MAX_REDIRECTS) {
+            return this.createRedirectFailure(url, redirectChain, `Too many redirects (more than ${MAX_REDIRECTS})`, false);
+          }
+
+          currentUrl = nextUrl;
+          continue;
+        }
+
+        const html = response.data;
+        return {
+          url,
+          html,
+          status: response.status,
+          contentType: response.headers['content-type'],
+          finalUrl: currentUrl,
+          redirectChain,
+          headers: this.cleanHeaders(capture.headers || response.headers),
+          timings: capture.timings || null,
+          bytes: {
+            transferred: capture.bytes ?? null,
+            uncompressed: Buffer.byteLength(typeof html === 'string' ? html : JSON.stringify(html ?? ''))
+          },
+          success: true,
+          dataLayer: { objectId: null, hasDataLayer: false }
+        };
+      }
     } catch (error) {
       return {
         url,
         html: null,
         status: error.response?.status || null,
         error: error.message,
+        errorCode: error.code || null,
+        retryAfter: error.response?.headers?.['retry-after'] || null,
+        finalUrl: currentUrl,
+        redirectChain,
         success: false,
         dataLayer: { objectId: null, hasDataLayer: false }
       };
     }
   }
 
-  generateMboUrl(objectId, baseUrl) {
-    if (!objectId || !this.mboSessionToken) {
-      return null;
+  createRedirectFailure(url, redirectChain, message, redirectLoop) {
+    return {
+      url,
+      html: null,
+      status: redirectChain[redirectChain.length - 1].status,
+      error: message,
+      finalUrl: null,
+      redirectChain,
+      redirectLoop,
+      success: false,
+      dataLayer: { objectId: null, hasDataLayer: false }
+    };
+  }
+
+  /**
+   * robots.txt for a URL's site, downloaded once per origin
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<RobotsTxt>} Parsed robots.txt
+   */
+  getRobotsTxt(url) {
+    const origin = new URL(url).origin;
+
+    if (!this.robotsCache.has(origin)) {
+      this.robotsCache.set(origin, RobotsTxt.fetch(origin, {
+        userAgent: this.userAgent,
+        timeout: this.timeout,
+        headers: this.auth ? this.auth.getRequestHeaders(`${origin}/robots.txt`) : {},
+        beforeRedirect: this.auth ? options => this.auth.dropHeadersOnRedirect(options) : undefined
+      }).then(robots => {
+        if (robots.crawlDelay) {
+          console.log(`🤖 ${origin} asks for a Crawl-delay of ${robots.crawlDelay}s`);
+        }
+        return robots;
+      }));
     }
 
-    return `${baseUrl}/epages/${this.mboShopId}.admin/sec${this.mboSessionToken}/?ObjectID=${objectId}`;
+    return this.robotsCache.get(origin);
   }
 
-  async crawlUrls(urls, onProgress = null) {
-    const results = [];
-
+  /**
+   * @param {string} url - URL about to be crawled
+   * @returns {Promise<Object>} { allowed, rule, crawlDelay } - crawlDelay in seconds or null
+   */
+  async checkRobots(url) {
     try {
-      // Detect MBO session if using Puppeteer
-      if (this.usePuppeteer && urls.length > 0) {
-        const firstUrl = new URL(urls[0]);
-        const baseUrl = `${firstUrl.protocol}//${firstUrl.hostname}`;
-        const mboSession = await this.detectMboSession(baseUrl);
+      const robots = await this.getRobotsTxt(url);
+      return { ...robots.check(url), crawlDelay: robots.crawlDelay };
+    } catch (error) {
+      // Not a URL we can look up a robots.txt for; fetching it will report the problem
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+  }
 
-        if (mboSession.hasSession) {
-        }
+  createBlockedResult(url, rule) {
+    return {
+      url,
+      html: null,
+      status: null,
+      error: `Blocked by robots.txt (${rule})`,
+      success: false,
+      skipped: true,
+      blockedByRobots: rule,
+      dataLayer: { objectId: null, hasDataLayer: false }
+    };
+  }
+
+  /**
+   * Discovery mode: start at a page (usually the homepage) and follow internal
+   * links breadth first, to find pages that are linked but not in the sitemap.
+   * @param {string} startUrl - Page to start from
+   * @param {Object} options - { maxDepth, maxPages, isAllowed(url) }
+   * @param {Function} onProgress - Called after each fetched page
+   * @returns {Promise<Array>} Pages: { url, depth, status, success, crawled, blockedByRobots, inlinks, foundOn }
+   */
+  async discoverLinks(startUrl, options = {}, onProgress = null) {
+    const maxDepth = options.maxDepth ?? 2;
+    const maxPages = options.maxPages || 500;
+    const isAllowed = options.isAllowed || (() => true);
+
+    const start = this.normalizeLink(startUrl);
+    let host = new URL(start).hostname;
+    const pages = new Map([[start, { url: start, depth: 0, status: null, success: false, crawled: false, inlinks: 0, foundOn: null }]]);
+    const queue = [start];
+    let crawledCount = 0;
+
+    const startRobots = await this.checkRobots(start);
+    const delayMs = Math.max(this.delayMs, (startRobots.crawlDelay || 0) * 1000);
+
+    while (queue.length > 0 && crawledCount < maxPages) {
+      const url = queue.shift();
+      const page = pages.get(url);
+
+      const robots = await this.checkRobots(url);
+      if (!robots.allowed) {
+        page.blockedByRobots = robots.rule;
+        if (!this.ignoreRobots) continue;
       }
 
-      for (let i = 0; i < urls.length; i++) {
-        const url = urls[i];
+      const result = await this.fetchPage(url);
 
-        if (onProgress) {
-          onProgress({
-            current: i + 1,
-            total: urls.length,
-            url,
-            percentage: Math.round(((i + 1) / urls.length) * 100)
-          });
-        }
+      crawledCount++;
+      page.crawled = true;
+      page.status = result.status;
+      page.success = result.success;
 
-        const result = await this.fetchPage(url);
+      // The start page may redirect to another host (example.com -> www.example.com); its links count as internal
+      if (url === start && result.success && result.finalUrl) {
+        host = new URL(result.finalUrl).hostname;
+      }
 
-        // Add MBO URL if we have objectID and token
-        if (result.success && result.dataLayer?.objectId && this.mboSessionToken) {
-          const baseUrl = new URL(url);
-          result.mboUrl = this.generateMboUrl(result.dataLayer.objectId, `${baseUrl.protocol}//${baseUrl.hostname}`);
-        }
+      if (onProgress) {
+        onProgress({
+          current: crawledCount,
+          total: Math.min(maxPages, crawledCount + queue.length),
+          found: pages.size,
+          url,
+          depth: page.depth
+        });
+      }
 
-        results.push(result);
+      const isHtml = /html/i.test(result.contentType || '');
+      if (result.success && result.html && isHtml && page.depth < maxDepth) {
+        for (const link of this.extractLinks(result.html, result.finalUrl || url)) {
+          if (new URL(link).hostname !== host || !isAllowed(link)) continue;
 
-        if (i < urls.length - 1) {
-          await this.delay(this.delayMs);
+          const known = pages.get(link);
+          if (known) {
+            known.inlinks++;
+            continue;
+          }
+
+          pages.set(link, { url: link, depth: page.depth + 1, status: null, success: false, crawled: false, inlinks: 1, foundOn: url });
+          queue.push(link);
         }
       }
 
-      return results;
+      if (queue.length > 0 && crawledCount < maxPages) {
+        await this.delay(delayMs);
+      }
+    }
 
-    } finally {
-      // Ensure browser is closed
-      if (this.usePuppeteer && this.browser) {
-        await this.closeBrowser();
+    return Array.from(pages.values());
+  }
+
+  /**
+   * Absolute http(s) links from a page, without fragments and obvious non-page files
+   */
+  extractLinks(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const base = $('base[href]').attr('href');
+    let baseUrl = pageUrl;
+    try {
+      baseUrl = base ? new URL(base, pageUrl).href : pageUrl;
+    } catch (error) {
+      // Ignore a broken <base href>
+    }
+
+    const links = new Set();
+    $('a[href]').each((_, element) => {
+      try {
+        const link = new URL($(element).attr('href'), baseUrl);
+        if (!/^https?:$/.test(link.protocol)) return;
+        if (/\.(jpe?g|png|gif|svg|webp|ico|pdf|zip|css|js|mp3|mp4|xml|gz)$/i.test(link.pathname)) return;
+        links.add(this.normalizeLink(link.href));
+      } catch (error) {
+        // Skip hrefs that aren't URLs
+      }
+    });
+
+    return Array.from(links);
+  }
+
+  normalizeLink(url) {
+    const link = new URL(url);
+    link.hash = '';
+    return link.href;
+  }
+
+  /**
+   * Sort discovered pages and sitemap URLs into three buckets
+   * @param {Array} pages - Result of discoverLinks
+   * @param {string[]} sitemapUrls - URLs from SitemapParser
+   * @returns {Object} { sitemapOnly: string[], linkedOnly: Array, both: Array }
+   */
+  reconcileWithSitemap(pages, sitemapUrls) {
+    const normalize = (url) => {
+      try {
+        return this.normalizeLink(url);
+      } catch (error) {
+        return url;
+      }
+    };
+
+    const inSitemap = new Set(sitemapUrls.map(normalize));
+    const linked = new Set(pages.map(page => page.url));
+
+    return {
+      sitemapOnly: sitemapUrls.filter(url => !linked.has(normalize(url))),
+      linkedOnly: pages.filter(page => !inSitemap.has(page.url)),
+      both: pages.filter(page => inSitemap.has(page.url))
+    };
+  }
+
+  /**
+   * Fetch URLs with a worker pool (global and per-host concurrency, per-host
+   * rate limit and adaptive slow-down, see HostScheduler). robots.txt is read
+   * for every site first: its Crawl-delay becomes the minimum per-host
+   * interval and disallowed URLs come back as skipped results.
+   * @param {string[]} urls - URLs to fetch
+   * @param {Function} onProgress - Called as each page finishes; current counts finished pages
+   * @param {Function} onResult - async (result), awaited for every finished or skipped page,
+   *   e.g. to checkpoint it (see CrawlQueue)
+   * @returns {Promise<Array>} Fetch results in the same order as urls; after stop() only
+   *   the pages that were finished
+   */
+  async crawlUrls(urls, onProgress = null, onResult = null) {
+    // Detect a back office session if using Puppeteer
+    if (this.usePuppeteer && urls.length > 0) {
+      const firstUrl = new URL(urls[0]);
+      const baseUrl = `${firstUrl.protocol}//${firstUrl.hostname}`;
+      await this.detectSession(baseUrl);
+    }
+
+    const scheduler = new HostScheduler({
+      concurrency: this.concurrency,
+      perHostConcurrency: this.perHostConcurrency,
+      requestsPerSecond: this.requestsPerSecond
+    });
+    this.scheduler = scheduler;
+
+    const blocked = new Map();
+    for (const url of urls) {
+      if (this.stopped) return [];
+
+      const robots = await this.checkRobots(url);
+      if (robots.crawlDelay) {
+        scheduler.setMinInterval(url, robots.crawlDelay * 1000);
+      }
+      if (!robots.allowed) {
+        blocked.set(url, robots.rule);
+      }
+    }
+
+    const toFetch = this.ignoreRobots ? urls : urls.filter(url => !blocked.has(url));
+    let completed = urls.length - toFetch.length;
+
+    const skipped = new Map();
+    if (toFetch !== urls) {
+      for (const [url, rule] of blocked) {
+        skipped.set(url, this.createBlockedResult(url, rule));
+        if (onResult) {
+          await onResult(skipped.get(url));
+        }
       }
     }
+
+    const fetched = await scheduler.runAll(toFetch, async (url) => {
+      const result = await this.fetchPage(url);
+
+      if (blocked.has(url)) {
+        result.blockedByRobots = blocked.get(url);
+      }
+
+      if (this.httpCache) {
+        result.contentChange = this.httpCache.record(url, result);
+      }
+
+      // Link to the back office edit screen if we have an object ID and a session
+      if (result.success && result.dataLayer?.objectId && this.sessionToken) {
+        result.adminUrl = this.platform.getAdminUrl(result.dataLayer.objectId, url, this.sessionToken);
+      }
+
+      // Pages finish out of order, so progress counts completions rather than positions
+      completed++;
+      if (onProgress) {
+        onProgress({
+          current: completed,
+          total: urls.length,
+          url,
+          percentage: Math.round((completed / urls.length) * 100)
+        });
+      }
+
+      if (onResult) {
+        await onResult(result);
+      }
+      return result;
+    });
+    this.scheduler = null;
+
+    // Put skipped URLs back in their place; pages never started after stop() are left out
+    let next = 0;
+    return urls
+      .map(url => (skipped.has(url) ? skipped.get(url) : fetched[next++]))
+      .filter(Boolean);
+  }
+
+  /**
+   * Finish the pages in flight and start no new ones (pause or cancel).
+   * The running crawlUrls call resolves once the last page is done.
+   */
+  stop() {
+    this.stopped = true;
+    this.scheduler?.stop();
   }
 }
\ No newline at end of file